@@ -0,0 +1,90 @@
+// artifactStore.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import logger from './logger.js';
+
+const ARTIFACT_DIR = process.env.ARTIFACT_DIR || './data/artifacts';
+const RETENTION_MS = parseFloat(process.env.ARTIFACT_RETENTION_HOURS || '24') * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = parseInt(process.env.ARTIFACT_CLEANUP_INTERVAL_MS || '3600000', 10);
+const LINK_TTL_MS = process.env.ARTIFACT_LINK_TTL_HOURS
+  ? parseFloat(process.env.ARTIFACT_LINK_TTL_HOURS) * 60 * 60 * 1000
+  : RETENTION_MS;
+
+// Without a configured secret, links only stay valid for the lifetime of this process
+const SIGNING_SECRET = process.env.ARTIFACT_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.ARTIFACT_SIGNING_SECRET) {
+  logger.warn('⚠️ ARTIFACT_SIGNING_SECRET not set, download links will not survive a restart');
+}
+
+// Artifact keys are trace or job IDs; filenames come from the renderers. Both end up in paths and URLs.
+const SAFE_NAME = /^[\w][\w.-]*$/;
+
+export function isSafeArtifactName(name) {
+  return typeof name === 'string' && SAFE_NAME.test(name) && !name.includes('..');
+}
+
+// Creates (if needed) and returns the per-request directory for `key`
+export async function artifactDir(key) {
+  if (!isSafeArtifactName(key)) {
+    throw new Error(`Invalid artifact key: ${key}`);
+  }
+  const dir = path.join(ARTIFACT_DIR, key);
+  await fs.mkdir(dir, { recursive: true });
+  return dir;
+}
+
+export function artifactPath(key, filename) {
+  if (!isSafeArtifactName(key) || !isSafeArtifactName(filename)) return null;
+  return path.join(ARTIFACT_DIR, key, filename);
+}
+
+function sign(key, filename, expires) {
+  return crypto.createHmac('sha256', SIGNING_SECRET).update(`${key}/${filename}:${expires}`).digest('hex');
+}
+
+// Absolute, expiring URL served by GET /v1/api/artifacts/:key/:filename
+export function createDownloadLink(key, filename, ttlMs = LINK_TTL_MS) {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 8080}`).replace(/\/$/, '');
+  const expires = Date.now() + ttlMs;
+  const params = new URLSearchParams({ expires: String(expires), sig: sign(key, filename, expires) });
+  return {
+    url: `${baseUrl}/v1/api/artifacts/${encodeURIComponent(key)}/${encodeURIComponent(filename)}?${params}`,
+    expiresAt: new Date(expires).toISOString(),
+  };
+}
+
+export function verifyDownloadLink(key, filename, expires, sig) {
+  const expiry = parseInt(expires, 10);
+  if (!expiry || expiry < Date.now() || !/^[0-9a-f]{64}$/.test(sig || '')) return false;
+  return crypto.timingSafeEqual(Buffer.from(sig, 'hex'), Buffer.from(sign(key, filename, expiry), 'hex'));
+}
+
+// Removes artifact directories that have not been touched within the retention window
+export async function cleanupArtifacts(now = Date.now()) {
+  let entries;
+  try {
+    entries = await fs.readdir(ARTIFACT_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+
+  let removed = 0;
+  for (const entry of entries.filter(e => e.isDirectory())) {
+    const dir = path.join(ARTIFACT_DIR, entry.name);
+    const { mtimeMs } = await fs.stat(dir);
+    if (now - mtimeMs > RETENTION_MS) {
+      await fs.rm(dir, { recursive: true, force: true });
+      removed++;
+    }
+  }
+  if (removed > 0) logger.info(`🧹 Removed ${removed} expired artifact folder(s)`);
+  return removed;
+}
+
+export function startArtifactCleanup() {
+  const run = () => cleanupArtifacts().catch(err => logger.error(`❌ Artifact cleanup failed: ${err.message}`));
+  run();
+  setInterval(run, CLEANUP_INTERVAL_MS).unref();
+}
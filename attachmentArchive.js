@@ -0,0 +1,43 @@
+// attachmentArchive.js
+import fs from 'fs';
+import archiver from 'archiver';
+import logger from './logger.js';
+
+// Attachments larger than this are sent as <name>.zip instead (0 disables)
+const ZIP_THRESHOLD_BYTES = parseInt(process.env.ATTACHMENT_ZIP_THRESHOLD_BYTES || String(5 * 1024 * 1024), 10);
+
+function zipFile(source, target, entryName) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(target);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(output);
+    archive.file(source, { name: entryName });
+    archive.finalize();
+  });
+}
+
+// Replaces every attachment above the threshold with a zip next to it and removes the original.
+// Returns the new attachment list plus { filename, bytes, zippedBytes? } per original file.
+export async function zipLargeAttachments(attachments, requestId) {
+  const packed = [];
+  const sizes = [];
+  for (const attachment of attachments) {
+    const bytes = (await fs.promises.stat(attachment.path)).size;
+    if (ZIP_THRESHOLD_BYTES <= 0 || bytes <= ZIP_THRESHOLD_BYTES) {
+      packed.push(attachment);
+      sizes.push({ filename: attachment.filename, bytes });
+      continue;
+    }
+    const zipPath = `${attachment.path}.zip`;
+    await zipFile(attachment.path, zipPath, attachment.filename);
+    await fs.promises.unlink(attachment.path);
+    const zippedBytes = (await fs.promises.stat(zipPath)).size;
+    logger.info(`[${requestId}] 🗜️ Zipped ${attachment.filename}: ${bytes} → ${zippedBytes} bytes`);
+    packed.push({ filename: `${attachment.filename}.zip`, path: zipPath, contentType: 'application/zip' });
+    sizes.push({ filename: attachment.filename, bytes, zippedBytes });
+  }
+  return { attachments: packed, sizes };
+}
@@ -0,0 +1,150 @@
+// auth.js
+import fs from 'fs';
+import crypto from 'crypto';
+import { trace } from '@opentelemetry/api';
+import logger, { logToDynatrace } from './logger.js';
+import { DEFAULT_PROFILE } from './profiles.js';
+
+const CLIENTS_FILE = process.env.API_CLIENTS_FILE || './config/clients.json';
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+const MAX_SKEW_MS = parseInt(process.env.HMAC_MAX_SKEW_MS || '300000', 10);
+
+// clients.json: { "clients": [{ "name", "apiKey" | "apiKeyEnv", "hmacSecret" | "hmacSecretEnv",
+//                              "allowedRecipientDomains": [...], "allowedRecipients": [...], "allowedChannelUrls": [...],
+//                              "profiles": [...], "admin" }] }
+// *Env fields name an environment variable holding the secret so it can stay out of the file.
+// `profiles` limits the client to those profiles (profiles.js); the first is used when a request names none.
+// A client without `profiles` may only use the `default` profile.
+// `allowedChannelUrls` lists the Slack/Teams/webhook URLs a client may name in `channels`; channels using the
+// server's SLACK_WEBHOOK_URL / TEAMS_WEBHOOK_URL are always allowed.
+// `admin: true` lets a client see every client's jobs, runs, schedules and dead letters.
+function loadClients() {
+  let raw;
+  try {
+    raw = fs.readFileSync(CLIENTS_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return (JSON.parse(raw).clients || []).map(c => ({
+    name: c.name,
+    apiKey: c.apiKey || (c.apiKeyEnv && process.env[c.apiKeyEnv]) || null,
+    hmacSecret: c.hmacSecret || (c.hmacSecretEnv && process.env[c.hmacSecretEnv]) || null,
+    allowedRecipientDomains: (c.allowedRecipientDomains || []).map(d => d.toLowerCase()),
+    allowedRecipients: (c.allowedRecipients || []).map(r => r.toLowerCase()),
+    allowedChannelUrls: c.allowedChannelUrls || [],
+    profiles: c.profiles || [],
+    admin: c.admin === true,
+  }));
+}
+
+const clients = loadClients();
+export const authEnabled = clients.length > 0 || AUTH_REQUIRED;
+if (!authEnabled) {
+  logger.warn(`⚠️ No API clients configured in ${CLIENTS_FILE}, report API is unauthenticated`);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Signature = hex HMAC-SHA256 over `${timestamp}.${METHOD}.${originalUrl}.${rawBody}`
+export function signRequest(secret, timestamp, method, url, rawBody = '') {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${url}.${rawBody}`)
+    .digest('hex');
+}
+
+function identify(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    const client = clients.find(c => c.apiKey && safeEqual(c.apiKey, apiKey));
+    return client ? { client } : { error: 'Unknown API key' };
+  }
+
+  const clientId = req.headers['x-client-id'];
+  const signature = req.headers['x-signature'];
+  if (clientId && signature) {
+    const client = clients.find(c => c.name === clientId && c.hmacSecret);
+    if (!client) return { error: 'Unknown client', caller: clientId };
+    const timestamp = parseInt(req.headers['x-signature-timestamp'], 10);
+    if (!timestamp || Math.abs(Date.now() - timestamp) > MAX_SKEW_MS) {
+      return { error: 'Signature timestamp missing or outside the allowed window', caller: clientId };
+    }
+    const expected = signRequest(client.hmacSecret, timestamp, req.method, req.originalUrl, req.rawBody || '');
+    return safeEqual(`sha256=${expected}`, signature)
+      ? { client }
+      : { error: 'Invalid signature', caller: clientId };
+  }
+
+  return { error: 'Missing credentials' };
+}
+
+// Logs a refused request locally and to Dynatrace with whatever caller identity we have
+export async function logRejection(req, reason, caller) {
+  const spanContext = trace.getActiveSpan()?.spanContext();
+  const who = caller || req.client?.name || 'anonymous';
+  const msg = `🚫 Request rejected | caller: ${who} | ip: ${req.ip} | ${req.method} ${req.originalUrl} | ${reason}`;
+  logger.warn(msg);
+  await logToDynatrace('WARN', msg, spanContext?.traceId, spanContext?.spanId);
+}
+
+// Express middleware: sets req.client or answers 401. Passes everything through when no clients are configured.
+export async function authenticate(req, res, next) {
+  if (!authEnabled) {
+    req.client = null;
+    next();
+    return;
+  }
+  const { client, error, caller } = identify(req);
+  if (!client) {
+    await logRejection(req, error, caller);
+    res.status(401).send('❌ Unauthorized.');
+    return;
+  }
+  req.client = client;
+  trace.getActiveSpan()?.setAttribute('enduser.id', client.name);
+  next();
+}
+
+export function getClient(name) {
+  return clients.find(c => c.name === name) || null;
+}
+
+// Returns the recipients `client` may not send to (empty when all are allowed)
+export function disallowedRecipients(client, recipients) {
+  if (!client) return [];
+  return recipients.filter((address) => {
+    const email = address.toLowerCase();
+    const domain = email.split('@').pop();
+    return !client.allowedRecipients.includes(email) && !client.allowedRecipientDomains.includes(domain);
+  });
+}
+
+// Returns the channel URLs `client` may not deliver to (empty when all are allowed).
+// Report data leaves through chat and webhook channels as well as email, so they get an allowlist too.
+export function disallowedChannels(client, channels) {
+  if (!client) return [];
+  return channels
+    .map(c => c.webhookUrl || c.url)
+    .filter(url => url && !client.allowedChannelUrls.includes(url));
+}
+
+// Whether `client` may see and change a record it stored (schedule, job, dead letter, run).
+// Without authentication there is only one caller and it owns everything.
+export function ownsResource(client, owner) {
+  return !client || client.admin || owner === client.name;
+}
+
+// The profile a client gets when it names none (undefined → the default profile)
+export function defaultProfileFor(client) {
+  return client?.profiles[0];
+}
+
+// Clients without a `profiles` list may only use the default profile
+export function profileAllowed(client, profile) {
+  if (!client) return true;
+  return client.profiles.length > 0 ? client.profiles.includes(profile) : profile === DEFAULT_PROFILE;
+}
@@ -0,0 +1,151 @@
+// ciProvider.js
+
+// refs/heads/main → { name: 'main', type: 'branch' }, refs/tags/v1 → { name: 'v1', type: 'tag' }
+function parseRef(ref) {
+  if (!ref) return { name: '', type: '' };
+  const tag = ref.match(/^refs\/tags\/(.+)$/);
+  if (tag) return { name: tag[1], type: 'tag' };
+  return { name: ref.replace(/^refs\/heads\//, '').replace(/^origin\//, ''), type: 'branch' };
+}
+
+// https://host/group/repo.git or git@host:group/repo.git → group/repo
+function repoFromUrl(url) {
+  const match = (url || '').match(/[:/]([^/:]+\/[^/]+?)(?:\.git)?\/?$/);
+  return match ? match[1] : '';
+}
+
+// Each provider maps its own environment onto the same shape; '' means the CI system doesn't tell us
+const PROVIDERS = {
+  github: {
+    detect: (env) => env.GITHUB_ACTIONS === 'true',
+    read: (env) => {
+      const server = env.GITHUB_SERVER_URL || 'https://github.com';
+      const pr = (env.GITHUB_REF || '').match(/^refs\/pull\/(\d+)\//);
+      return {
+        pipeline: env.GITHUB_WORKFLOW,
+        runId: env.GITHUB_RUN_ID,
+        runAttempt: env.GITHUB_RUN_ATTEMPT,
+        runUrl: env.GITHUB_RUN_ID && env.GITHUB_REPOSITORY ? `${server}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}` : '',
+        task: env.GITHUB_JOB,
+        repository: env.GITHUB_REPOSITORY,
+        repositoryUrl: env.GITHUB_REPOSITORY ? `${server}/${env.GITHUB_REPOSITORY}` : '',
+        revision: env.GITHUB_SHA,
+        ref: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME,
+        refType: env.GITHUB_HEAD_REF ? 'branch' : env.GITHUB_REF_TYPE,
+        changeId: pr ? pr[1] : '',
+        vcsProvider: 'github',
+      };
+    },
+  },
+  gitlab: {
+    detect: (env) => env.GITLAB_CI === 'true',
+    read: (env) => ({
+      pipeline: env.CI_PIPELINE_NAME || env.CI_PROJECT_NAME,
+      runId: env.CI_PIPELINE_ID,
+      runUrl: env.CI_PIPELINE_URL,
+      task: env.CI_JOB_NAME,
+      taskRunId: env.CI_JOB_ID,
+      taskRunUrl: env.CI_JOB_URL,
+      repository: env.CI_PROJECT_PATH,
+      repositoryUrl: env.CI_PROJECT_URL,
+      revision: env.CI_COMMIT_SHA,
+      ref: env.CI_COMMIT_TAG || env.CI_MERGE_REQUEST_SOURCE_BRANCH_NAME || env.CI_COMMIT_BRANCH || env.CI_COMMIT_REF_NAME,
+      refType: env.CI_COMMIT_TAG ? 'tag' : 'branch',
+      changeId: env.CI_MERGE_REQUEST_IID,
+      vcsProvider: 'gitlab',
+    }),
+  },
+  azure: {
+    detect: (env) => (env.TF_BUILD || '').toLowerCase() === 'true',
+    read: (env) => {
+      const ref = env.SYSTEM_PULLREQUEST_SOURCEBRANCH || env.BUILD_SOURCEBRANCH;
+      const vcs = { TfsGit: 'azure_devops', GitHub: 'github', GitHubEnterprise: 'github', Bitbucket: 'bitbucket' };
+      return {
+        pipeline: env.BUILD_DEFINITIONNAME,
+        runId: env.BUILD_BUILDID,
+        runUrl: env.SYSTEM_COLLECTIONURI && env.BUILD_BUILDID
+          ? `${env.SYSTEM_COLLECTIONURI}${encodeURIComponent(env.SYSTEM_TEAMPROJECT || '')}/_build/results?buildId=${env.BUILD_BUILDID}`
+          : '',
+        task: env.SYSTEM_JOBDISPLAYNAME || env.AGENT_JOBNAME,
+        taskRunId: env.SYSTEM_JOBID,
+        repository: env.BUILD_REPOSITORY_NAME,
+        repositoryUrl: env.BUILD_REPOSITORY_URI,
+        revision: env.BUILD_SOURCEVERSION,
+        ref: parseRef(ref).name,
+        refType: parseRef(ref).type,
+        changeId: env.SYSTEM_PULLREQUEST_PULLREQUESTNUMBER || env.SYSTEM_PULLREQUEST_PULLREQUESTID,
+        vcsProvider: vcs[env.BUILD_REPOSITORY_PROVIDER] || (env.BUILD_REPOSITORY_PROVIDER || '').toLowerCase(),
+      };
+    },
+  },
+  jenkins: {
+    detect: (env) => Boolean(env.JENKINS_URL),
+    read: (env) => ({
+      pipeline: env.JOB_NAME,
+      runId: env.BUILD_NUMBER,
+      runUrl: env.BUILD_URL,
+      task: env.STAGE_NAME,
+      repository: repoFromUrl(env.GIT_URL),
+      repositoryUrl: env.GIT_URL,
+      revision: env.GIT_COMMIT,
+      ref: env.TAG_NAME || env.CHANGE_BRANCH || env.BRANCH_NAME || parseRef(env.GIT_BRANCH).name,
+      refType: env.TAG_NAME ? 'tag' : 'branch',
+      changeId: env.CHANGE_ID,
+      vcsProvider: /github\.com/.test(env.GIT_URL || '') ? 'github' : /gitlab/.test(env.GIT_URL || '') ? 'gitlab' : '',
+    }),
+  },
+};
+
+// Works out which CI system we run on (CI_PROVIDER=github|gitlab|azure|jenkins forces one)
+// and returns its metadata in one shape; provider is 'local' outside CI.
+export function detectCiProvider(env = process.env) {
+  const forced = (env.CI_PROVIDER || '').toLowerCase();
+  const provider = PROVIDERS[forced] ? forced : Object.keys(PROVIDERS).find((name) => PROVIDERS[name].detect(env));
+  if (!provider) return { provider: 'local' };
+  const info = PROVIDERS[provider].read(env);
+  return { provider, ...Object.fromEntries(Object.entries(info).map(([k, v]) => [k, v || ''])) };
+}
+
+// OpenTelemetry CICD/VCS semantic-convention attributes for the root span; empty values are left out.
+// GitHub runs also get the github.* attributes older dashboards filter on.
+export function ciSpanAttributes(ci) {
+  const attributes = {
+    'ci.provider': ci.provider,
+    'cicd.pipeline.name': ci.pipeline,
+    'cicd.pipeline.run.id': ci.runId,
+    'cicd.pipeline.run.url.full': ci.runUrl,
+    'cicd.pipeline.task.name': ci.task,
+    'cicd.pipeline.task.run.id': ci.taskRunId,
+    'cicd.pipeline.task.run.url.full': ci.taskRunUrl,
+    'vcs.provider.name': ci.vcsProvider,
+    'vcs.repository.name': ci.repository,
+    'vcs.repository.url.full': ci.repositoryUrl,
+    'vcs.ref.head.name': ci.ref,
+    'vcs.ref.head.type': ci.refType,
+    'vcs.ref.head.revision': ci.revision,
+    'vcs.change.id': ci.changeId,
+  };
+  if (ci.provider === 'github') {
+    Object.assign(attributes, {
+      'github.repository': ci.repository,
+      'github.sha': ci.revision,
+      'github.run_id': ci.runId,
+      'github.workflow': ci.pipeline,
+    });
+  }
+  return Object.fromEntries(Object.entries(attributes).filter(([, v]) => v));
+}
+
+// The dt.cicd.* fields added to every CI log record
+export function ciLogFields(ci) {
+  return {
+    'dt.cicd.provider': ci.provider,
+    'dt.cicd.pipeline': ci.pipeline || '',
+    'dt.cicd.runid': ci.runId || '',
+    'dt.cicd.run_url': ci.runUrl || '',
+    'dt.cicd.job': ci.task || '',
+    'dt.cicd.repo': ci.repository || '',
+    'dt.cicd.commit': ci.revision || '',
+    'dt.cicd.branch': ci.ref || '',
+  };
+}
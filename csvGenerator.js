@@ -0,0 +1,27 @@
+// csvGenerator.js
+import fs from 'fs/promises';
+import xlsx from 'xlsx';
+import logger, { logToDynatrace } from './logger.js';
+import { normalizeSheets } from './excelGenerator.js';
+
+// Writes one CSV per sheet; a single-sheet report keeps the plain file name
+export async function generateCsv(data, filePathBase, requestId) {
+  try {
+    const sheets = Object.entries(normalizeSheets(data));
+    const files = [];
+    for (const [name, rows] of sheets) {
+      const csv = xlsx.utils.sheet_to_csv(xlsx.utils.json_to_sheet(Array.isArray(rows) ? rows : []));
+      const filePath = sheets.length === 1
+        ? `${filePathBase}.csv`
+        : `${filePathBase}-${name.replace(/[^\w.-]+/g, '_')}.csv`;
+      await fs.writeFile(filePath, csv);
+      files.push(filePath);
+    }
+    return files;
+  } catch (error) {
+    const msg = `❌ CSV generation failed: ${error.stack || error}`;
+    logger.error(`[${requestId}] ${msg}`);
+    await logToDynatrace('error', msg, requestId);
+    throw error;
+  }
+}
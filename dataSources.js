@@ -0,0 +1,36 @@
+// dataSources.js
+import { executeDqlSheets } from './dqlClient.js';
+
+function isQueryMap(queries) {
+  return queries && typeof queries === 'object' && !Array.isArray(queries)
+    && Object.keys(queries).length > 0
+    && Object.values(queries).every(q => typeof q === 'string' && q.trim());
+}
+
+// Resolves a `dataSource` into the report payload passed to the renderers:
+//   { type: 'dql', queries: { Sheet: 'fetch ...' }, timeframe?: { start, end }, maxResultRecords? }
+// Data only ever comes from Grail: fetching caller-supplied URLs would let any client reach internal services.
+export const dataSourceTypes = {
+  dql: {
+    validate: (source) => (isQueryMap(source.queries) ? null : '`dataSource.queries` must map sheet names to DQL strings'),
+    load: async (source, requestId, profile) =>
+      executeDqlSheets(source.queries, {
+        timeframe: source.timeframe,
+        maxResultRecords: source.maxResultRecords,
+        queryUrl: profile.dynatrace.queryUrl,
+        queryToken: profile.dynatrace.queryToken,
+      }, requestId),
+  },
+};
+
+// Returns an error message, or null when the definition is usable
+export function validateDataSource(source) {
+  if (!source || typeof source !== 'object') return '`dataSource` is required';
+  if (!Object.hasOwn(dataSourceTypes, source.type)) return `Unknown dataSource type: ${source.type}`;
+  return dataSourceTypes[source.type].validate(source);
+}
+
+// Queries run against the Dynatrace environment of `profile` (profiles.js)
+export async function loadDataSource(source, requestId, profile) {
+  return dataSourceTypes[source.type].load(source, requestId, profile);
+}
@@ -0,0 +1,86 @@
+// deadLetterRoutes.js
+import express from 'express';
+import { trace } from '@opentelemetry/api';
+import logger from './logger.js';
+import { listDeadLetters, getDeadLetter, updateDeadLetter, deleteDeadLetter, toMailOptions } from './deadLetterStore.js';
+import { sendMailWithRetry } from './emailSender.js';
+import { bindTraceToProfile } from './profiles.js';
+import { ownsResource } from './auth.js';
+
+const router = express.Router();
+
+// Listing leaves out the rendered bodies, which can be large
+function describeLetter({ mailOptions, ...letter }) {
+  return {
+    ...letter,
+    to: mailOptions.to,
+    subject: mailOptions.subject,
+    attachments: mailOptions.attachments.map(a => a.filename),
+  };
+}
+
+// A client only sees the dead letters of its own reports; anyone else's answer 404
+async function findLetter(req) {
+  const letter = await getDeadLetter(req.params.id);
+  return letter && ownsResource(req.client, letter.client) ? letter : null;
+}
+
+router.get('/', async (req, res) => {
+  res.json((await listDeadLetters()).filter(l => ownsResource(req.client, l.client)).map(describeLetter));
+});
+
+router.get('/:id', async (req, res) => {
+  const letter = await findLetter(req);
+  if (!letter) {
+    res.status(404).send('❌ Dead letter not found.');
+    return;
+  }
+  res.json(letter);
+});
+
+// Resends the stored message; it is removed on success and kept with the new error otherwise
+router.post('/:id/resend', async (req, res) => {
+  const letter = await findLetter(req);
+  if (!letter) {
+    res.status(404).send('❌ Dead letter not found.');
+    return;
+  }
+  const tracer = trace.getTracer('dynatrace-email-reporter');
+  await tracer.startActiveSpan('dead-letter-resend', { attributes: { 'dead_letter.id': letter.id } }, async (span) => {
+    const requestId = span.spanContext().traceId;
+    // Resent through the SMTP server (and into the Dynatrace environment) of the original profile
+    bindTraceToProfile(requestId, letter.profile);
+    try {
+      await sendMailWithRetry(toMailOptions(letter), requestId, letter.profile || undefined);
+      await deleteDeadLetter(letter.id);
+      logger.info(`[${requestId}] 📬 Dead letter ${letter.id} resent to ${letter.mailOptions.to}`);
+      res.json({ id: letter.id, status: 'sent', traceId: requestId });
+    } catch (err) {
+      span.recordException(err);
+      span.setStatus({ code: 2, message: err.message });
+      const updated = await updateDeadLetter({
+        ...letter,
+        error: err.message,
+        attempts: err.attempts,
+        resendCount: (letter.resendCount || 0) + 1,
+        lastResendAt: new Date().toISOString(),
+      });
+      logger.error(`[${requestId}] ❌ Resending dead letter ${letter.id} failed: ${err.message}`);
+      res.status(502).json({ ...describeLetter(updated), status: 'failed', traceId: requestId });
+    } finally {
+      span.end();
+    }
+  });
+});
+
+router.delete('/:id', async (req, res) => {
+  if (!(await findLetter(req))) {
+    res.status(404).send('❌ Dead letter not found.');
+    return;
+  }
+  await deleteDeadLetter(req.params.id);
+  logger.info(`📪 Dead letter ${req.params.id} deleted`);
+  res.status(204).end();
+});
+
+export default router;
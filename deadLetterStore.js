@@ -0,0 +1,90 @@
+// deadLetterStore.js
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+const DEAD_LETTER_DIR = process.env.DEAD_LETTER_DIR || './data/dead-letters';
+
+// Each dead letter is a folder holding message.json plus copies of its attachments,
+// so it can still be resent after the original artifact folder has been cleaned up.
+function letterDir(id) {
+  if (!/^[\w-]+$/.test(id || '')) return null;
+  return path.join(DEAD_LETTER_DIR, id);
+}
+
+// `client` is the API client whose report it was; only that client sees the letter (see deadLetterRoutes.js).
+// Unauthenticated reports are labelled 'anonymous', as in the run history, so letters join to their runs.
+export async function addDeadLetter({ mailOptions, error, attempts, traceId, profile, client }) {
+  const id = uuidv4();
+  const dir = letterDir(id);
+  await fs.mkdir(dir, { recursive: true });
+
+  const attachments = [];
+  for (const [i, attachment] of (mailOptions.attachments || []).entries()) {
+    const stored = `${i}-${path.basename(attachment.filename || attachment.path)}`;
+    await fs.copyFile(attachment.path, path.join(dir, stored));
+    attachments.push({ filename: attachment.filename, contentType: attachment.contentType, stored });
+  }
+
+  const letter = {
+    id,
+    createdAt: new Date().toISOString(),
+    traceId: traceId || null,
+    profile: profile || null,
+    client: client || 'anonymous',
+    error,
+    attempts,
+    resendCount: 0,
+    mailOptions: { ...mailOptions, attachments },
+  };
+  await fs.writeFile(path.join(dir, 'message.json'), JSON.stringify(letter, null, 2));
+  return letter;
+}
+
+export async function getDeadLetter(id) {
+  const dir = letterDir(id);
+  if (!dir) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, 'message.json'), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+export async function listDeadLetters() {
+  let ids;
+  try {
+    ids = await fs.readdir(DEAD_LETTER_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const letters = (await Promise.all(ids.map(getDeadLetter))).filter(Boolean);
+  return letters.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function updateDeadLetter(letter) {
+  await fs.writeFile(path.join(letterDir(letter.id), 'message.json'), JSON.stringify(letter, null, 2));
+  return letter;
+}
+
+export async function deleteDeadLetter(id) {
+  const dir = letterDir(id);
+  if (!dir || !(await getDeadLetter(id))) return false;
+  await fs.rm(dir, { recursive: true, force: true });
+  return true;
+}
+
+// Mail options with attachment paths pointing at the stored copies, ready for nodemailer
+export function toMailOptions(letter) {
+  const dir = letterDir(letter.id);
+  return {
+    ...letter.mailOptions,
+    attachments: letter.mailOptions.attachments.map(a => ({
+      filename: a.filename,
+      contentType: a.contentType,
+      path: path.join(dir, a.stored),
+    })),
+  };
+}
@@ -0,0 +1,162 @@
+// deliveryChannels.js
+import fetch from 'node-fetch';
+import { trace } from '@opentelemetry/api';
+import logger from './logger.js';
+import { sendEmailWithAttachment } from './emailSender.js';
+
+export const DEFAULT_CHANNELS = [{ type: 'email' }];
+
+// Caller-supplied webhook URLs are limited to these hosts so the service can't be used to probe the network
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+const SLACK_HOSTS = ['hooks.slack.com'];
+const TEAMS_HOST_SUFFIXES = ['.webhook.office.com', '.logic.azure.com', '.powerplatform.com'];
+
+function hostOf(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' ? parsed.hostname.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+function summaryLines({ subject, rowCounts }) {
+  const sheets = Object.entries(rowCounts || {});
+  return sheets.length ? sheets.map(([name, n]) => `${name}: ${n} rows`) : [subject];
+}
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    throw new Error(`Webhook responded ${res.status}: ${await res.text()}`);
+  }
+}
+
+// Every channel takes (channel, delivery) where delivery is
+// { report, attachments, links, recipients, subject, fromName, traceId }.
+// Chat channels can't carry files through incoming webhooks, so they always get download links.
+export const channelTypes = {
+  email: {
+    validate: () => null,
+    async deliver(channel, { report, attachments, recipients, subject, fromName, traceId }) {
+      await sendEmailWithAttachment(attachments, recipients, subject, fromName, traceId, report);
+    },
+  },
+  slack: {
+    validate: (channel) => {
+      const url = channel.webhookUrl || process.env.SLACK_WEBHOOK_URL;
+      if (!url) return 'slack channel needs `webhookUrl` or SLACK_WEBHOOK_URL';
+      return SLACK_HOSTS.includes(hostOf(url)) ? null : 'slack `webhookUrl` must be an https://hooks.slack.com URL';
+    },
+    async deliver(channel, { report, links, subject, traceId }) {
+      const lines = summaryLines({ subject, rowCounts: report.rowCounts });
+      const linkText = links.map(l => `<${l.url}|${l.filename}>`).join('  •  ');
+      await postJson(channel.webhookUrl || process.env.SLACK_WEBHOOK_URL, {
+        text: `${subject} – ${lines.join(', ')}`,
+        blocks: [
+          { type: 'header', text: { type: 'plain_text', text: subject } },
+          { type: 'section', text: { type: 'mrkdwn', text: lines.map(l => `• ${l}`).join('\n') } },
+          ...(linkText ? [{ type: 'section', text: { type: 'mrkdwn', text: `*Download:* ${linkText}` } }] : []),
+          { type: 'context', elements: [{ type: 'mrkdwn', text: `Trace ID: ${traceId}` }] },
+        ],
+      });
+    },
+  },
+  teams: {
+    validate: (channel) => {
+      const url = channel.webhookUrl || process.env.TEAMS_WEBHOOK_URL;
+      if (!url) return 'teams channel needs `webhookUrl` or TEAMS_WEBHOOK_URL';
+      const host = hostOf(url);
+      return host && TEAMS_HOST_SUFFIXES.some(s => host.endsWith(s)) ? null : 'teams `webhookUrl` must be a Teams/Power Automate webhook URL';
+    },
+    async deliver(channel, { report, links, subject, traceId }) {
+      const lines = summaryLines({ subject, rowCounts: report.rowCounts });
+      await postJson(channel.webhookUrl || process.env.TEAMS_WEBHOOK_URL, {
+        type: 'message',
+        attachments: [{
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          content: {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            body: [
+              { type: 'TextBlock', text: subject, weight: 'Bolder', size: 'Medium' },
+              ...lines.map(l => ({ type: 'TextBlock', text: l, spacing: 'None' })),
+              { type: 'TextBlock', text: `Trace ID: ${traceId}`, isSubtle: true, size: 'Small' },
+            ],
+            actions: links.map(l => ({ type: 'Action.OpenUrl', title: l.filename, url: l.url })),
+          },
+        }],
+      });
+    },
+  },
+  webhook: {
+    validate: (channel) => {
+      const host = hostOf(channel.url);
+      if (!host) return 'webhook channel needs an https `url`';
+      return WEBHOOK_ALLOWED_HOSTS.includes(host) ? null : `webhook host ${host} is not in WEBHOOK_ALLOWED_HOSTS`;
+    },
+    async deliver(channel, { report, links, subject, traceId }) {
+      await postJson(channel.url, {
+        event: 'report.generated',
+        subject,
+        traceId,
+        formats: report.labels,
+        rowCounts: report.rowCounts,
+        summary: report.summary || null,
+        artifacts: links,
+        generatedAt: new Date().toISOString(),
+      }, channel.headers);
+    },
+  },
+};
+
+// Accepts ["email", { type: "slack", webhookUrl }] or "email,slack"; nothing means email only
+export function parseChannels(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_CHANNELS.map(c => ({ ...c }));
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(c => (typeof c === 'string' ? { type: c.trim().toLowerCase() } : c));
+}
+
+// Returns an error message, or null when every channel is usable
+export function validateChannels(channels) {
+  if (channels.length === 0) return 'at least one delivery channel is required';
+  for (const channel of channels) {
+    if (!Object.hasOwn(channelTypes, channel?.type)) return `unknown delivery channel: ${channel?.type}`;
+    const error = channelTypes[channel.type].validate(channel);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Delivers to every channel in its own child span; one failing channel doesn't stop the others
+export async function deliverReport(channels, delivery) {
+  const tracer = trace.getTracer('dynatrace-email-reporter');
+  return Promise.all(channels.map(channel =>
+    tracer.startActiveSpan(`deliver-${channel.type}`, { attributes: { 'report.channel': channel.type } }, async (span) => {
+      const start = Date.now();
+      try {
+        await channelTypes[channel.type].deliver(channel, delivery);
+        logger.info(`[${delivery.traceId}] ✅ Delivered via ${channel.type} in ${Date.now() - start} ms`);
+        return { channel: channel.type, status: 'succeeded', durationMs: Date.now() - start };
+      } catch (err) {
+        span.recordException(err);
+        span.setStatus({ code: 2, message: err.message });
+        logger.error(`[${delivery.traceId}] ❌ Delivery via ${channel.type} failed: ${err.message}`);
+        return {
+          channel: channel.type,
+          status: 'failed',
+          durationMs: Date.now() - start,
+          error: err.message,
+          ...(err.deadLetterId && { deadLetterId: err.deadLetterId }),
+        };
+      } finally {
+        span.end();
+      }
+    })
+  ));
+}
@@ -0,0 +1,100 @@
+// dqlClient.js
+import fetch from 'node-fetch';
+import { trace } from '@opentelemetry/api';
+import logger from './logger.js';
+
+const QUERY_TIMEOUT_MS = parseInt(process.env.DYNATRACE_QUERY_TIMEOUT_MS || '60000', 10);
+const POLL_TIMEOUT_MS = 5000;
+
+function authHeader(token) {
+  // Platform tokens (dt0s16.*) use Bearer, classic API tokens (dt0c01.*) use Api-Token
+  const scheme = process.env.DYNATRACE_QUERY_AUTH_SCHEME || (token?.startsWith('dt0c01.') ? 'Api-Token' : 'Bearer');
+  return `${scheme} ${token}`;
+}
+
+// Each request is aborted once the query's overall deadline passes, so a hung Grail call can't block the report
+async function callQueryApi(url, token, init, deadline) {
+  const remaining = deadline - Date.now();
+  if (remaining <= 0) {
+    throw new Error(`DQL query timed out after ${QUERY_TIMEOUT_MS} ms`);
+  }
+  let res;
+  try {
+    res = await fetch(url, {
+      ...init,
+      headers: {
+        'Authorization': authHeader(token),
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+      signal: AbortSignal.timeout(remaining),
+    });
+  } catch (err) {
+    if (err.name === 'AbortError' || err.name === 'TimeoutError') {
+      throw new Error(`DQL query timed out after ${QUERY_TIMEOUT_MS} ms`);
+    }
+    throw err;
+  }
+  if (!res.ok) {
+    throw new Error(`DQL query failed | ${res.status}: ${await res.text()}`);
+  }
+  return res.json();
+}
+
+// Runs one DQL query and returns its records, polling until Grail reports a final state.
+// `queryUrl` is the base URL of the Grail query API of the report's profile, e.g.
+// https://<env>.apps.dynatrace.com/platform/storage/query/v1 (a local stub server in tests).
+export async function executeDql(query, { timeframe = {}, maxResultRecords, queryUrl, queryToken } = {}) {
+  if (!queryUrl) {
+    throw new Error('No DQL query URL configured (DYNATRACE_QUERY_URL or the profile\'s dynatrace.queryUrl)');
+  }
+  const deadline = Date.now() + QUERY_TIMEOUT_MS;
+
+  let response = await callQueryApi(`${queryUrl}/query:execute`, queryToken, {
+    method: 'POST',
+    body: JSON.stringify({
+      query,
+      defaultTimeframeStart: timeframe.start,
+      defaultTimeframeEnd: timeframe.end,
+      maxResultRecords,
+      requestTimeoutMilliseconds: POLL_TIMEOUT_MS,
+    }),
+  }, deadline);
+
+  while (response.state === 'RUNNING' || response.state === 'NOT_STARTED') {
+    const params = new URLSearchParams({
+      'request-token': response.requestToken,
+      'request-timeout-milliseconds': String(POLL_TIMEOUT_MS),
+    });
+    response = await callQueryApi(`${queryUrl}/query:poll?${params}`, queryToken, { method: 'GET' }, deadline);
+  }
+
+  if (response.state !== 'SUCCEEDED') {
+    throw new Error(`DQL query ended in state ${response.state}`);
+  }
+  return response.result?.records || [];
+}
+
+// Runs each named query in its own child span and returns { sheets: { name: records } }
+export async function executeDqlSheets(queries, options = {}, requestId) {
+  const tracer = trace.getTracer('dynatrace-email-reporter');
+  const sheets = {};
+
+  for (const [name, query] of Object.entries(queries)) {
+    await tracer.startActiveSpan('dql-query', { attributes: { 'dql.sheet': name, 'db.query.text': query } }, async (span) => {
+      const start = Date.now();
+      try {
+        sheets[name] = await executeDql(query, options);
+        span.setAttribute('dql.record_count', sheets[name].length);
+        logger.info(`[${requestId}] ✅ DQL query "${name}" returned ${sheets[name].length} records in ${Date.now() - start} ms`);
+      } catch (err) {
+        span.recordException(err);
+        span.setStatus({ code: 2, message: err.message });
+        throw err;
+      } finally {
+        span.end();
+      }
+    });
+  }
+  return { sheets };
+}
@@ -1,64 +1,167 @@
 // emailSender.js
 import nodemailer from 'nodemailer';
+import { trace } from '@opentelemetry/api';
 import logger, {
   logToDynatrace
 } from './logger.js';
+import { renderEmailTemplate, DEFAULT_TEMPLATE } from './emailTemplates.js';
+import { escapeHtml } from './htmlGenerator.js';
+import { addDeadLetter } from './deadLetterStore.js';
+import { summaryHtml, summaryText } from './reportSummary.js';
+import { recordSmtpSend } from './metrics.js';
+import { getProfile, DEFAULT_PROFILE } from './profiles.js';
 
-export async function sendEmailWithAttachment(filePath, recipients, subject, fromName, requestId) {
-  try {
-    const transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT),
-      secure: false,
+// Values every template can use. The wording defaults (greeting, reportName, timeframe) give way to
+// the profile's branding and then to caller-supplied `report.variables`; the values the reporter
+// generates always win, since templates insert some of them (reportHtml, ...) unescaped
+function templateVariables(files, subject, fromName, requestId, report, branding = {}) {
+  const rowCounts = report.rowCounts || {};
+  const sheetNames = Object.keys(rowCounts);
+  const links = report.links || [];
+  return {
+    greeting: branding.greeting || 'Hi Team',
+    reportName: branding.reportName || 'Dynatrace Health Report',
+    timeframe: 'Last 2 Hours',
+    ...branding.variables,
+    ...report.variables,
+    subject,
+    fromName,
+    traceId: requestId || '',
+    formats: (report.labels || ['Excel (.xlsx)']).join(', '),
+    deliveryNote: files.length ? 'attached' : links.length ? 'linked below' : 'below',
+    downloadLinksHtml: links.length
+      ? `<ul style="padding-left: 20px;">${links.map(l =>
+        `<li><a href="${escapeHtml(l.url)}">${escapeHtml(l.filename)}</a></li>`).join('')}</ul>
+        <p style="font-size: 12px; color: #777;">Links expire ${escapeHtml(links[0].expiresAt)}.</p>`
+      : '',
+    downloadLinksText: links.map(l => `${l.filename}: ${l.url}`).join('\n'),
+    rowCounts,
+    rowCount: Object.values(rowCounts).reduce((sum, n) => sum + n, 0),
+    sheetCount: sheetNames.length,
+    sheetSummary: sheetNames.length
+      ? sheetNames.map(name => `${name} (${rowCounts[name]} rows)`).join(', ')
+      : 'Metrics, Problems, and Anomalies',
+    reportHtml: report.html || '',
+    summaryHtml: report.summary ? summaryHtml(report.summary) : '',
+    summaryText: report.summary ? summaryText(report.summary) : '',
+  };
+}
+
+const MAX_RETRIES = parseInt(process.env.SMTP_MAX_RETRIES || '3', 10);
+const RETRY_BASE_MS = parseInt(process.env.SMTP_RETRY_BASE_MS || '1000', 10);
+// Connection-level failures and 4xx SMTP replies are temporary; 5xx replies are permanent
+const TRANSIENT_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'ECONNRESET', 'ECONNREFUSED', 'EDNS', 'EPROTOCOL'];
+
+const transporters = new Map();
+
+// One pooled transporter per profile, shared by every send; server and TLS behaviour come from
+// the profile's `smtp` section (SMTP_* settings for the default profile)
+export function getTransporter(profileName = DEFAULT_PROFILE) {
+  const profile = getProfile(profileName) || getProfile(DEFAULT_PROFILE);
+  if (!transporters.has(profile.name)) {
+    const { smtp } = profile;
+    transporters.set(profile.name, nodemailer.createTransport({
+      pool: true,
+      maxConnections: parseInt(process.env.SMTP_MAX_CONNECTIONS || '5', 10),
+      maxMessages: parseInt(process.env.SMTP_MAX_MESSAGES || '100', 10),
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure === true,
+      requireTLS: smtp.requireTls === true,
+      tls: {
+        rejectUnauthorized: smtp.rejectUnauthorized !== false,
+        ...(smtp.minTlsVersion && { minVersion: smtp.minTlsVersion }),
+      },
       auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
+        user: smtp.user,
+        pass: smtp.pass,
       },
-    });
+    }));
+  }
+  return transporters.get(profile.name);
+}
+
+export function closeTransporter() {
+  for (const transporter of transporters.values()) transporter.close();
+  transporters.clear();
+}
+
+function isTransient(error) {
+  if (error.responseCode) return error.responseCode >= 400 && error.responseCode < 500;
+  return TRANSIENT_CODES.includes(error.code);
+}
+
+// Sends through the profile's SMTP server with exponential backoff on transient failures. Each retry
+// is recorded as an `smtp.retry` event on the active span. The final error carries `attempts`.
+export async function sendMailWithRetry(mailOptions, requestId, profileName = DEFAULT_PROFILE) {
+  const span = trace.getActiveSpan();
+  const start = Date.now();
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const info = await getTransporter(profileName).sendMail(mailOptions);
+      span?.setAttribute('smtp.attempts', attempt);
+      recordSmtpSend(Date.now() - start, 'success', profileName);
+      return info;
+    } catch (error) {
+      error.attempts = attempt;
+      if (attempt > MAX_RETRIES || !isTransient(error)) {
+        recordSmtpSend(Date.now() - start, 'failure', profileName);
+        throw error;
+      }
+      const delayMs = RETRY_BASE_MS * 2 ** (attempt - 1);
+      span?.addEvent('smtp.retry', {
+        'smtp.attempt': attempt,
+        'smtp.response_code': error.responseCode || 0,
+        'error.type': error.code || 'SMTP',
+        'error.message': error.message,
+        'smtp.retry_delay_ms': delayMs,
+      });
+      logger.warn(`[${requestId}] ⚠️ SMTP attempt ${attempt} failed (${error.message}), retrying in ${delayMs} ms`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+// `attachments` is a file path or a list of nodemailer attachments from reportRenderers.js.
+// `report` carries the renderer output (html, labels, rowCounts, signed links) plus the chosen
+// `template` name and caller `variables` for emailTemplates.js, and the `profile` whose SMTP server,
+// sender address and branding are used.
+// Messages that still fail after retries are kept in the dead-letter store; the error carries `deadLetterId`.
+export async function sendEmailWithAttachment(attachments, recipients, subject, fromName, requestId, report = {}) {
+  let mailOptions = null;
+  const profile = getProfile(report.profile) || getProfile(DEFAULT_PROFILE);
+  try {
+    const files = typeof attachments === 'string'
+      ? [{ filename: 'dynatrace-report.xlsx', path: attachments }]
+      : attachments || [];
+    const { html, text } = await renderEmailTemplate(
+      report.template || DEFAULT_TEMPLATE,
+      templateVariables(files, subject, fromName, requestId, report, profile.branding)
+    );
 
-    const mailOptions = {
-      from: `"${fromName}" <${process.env.EMAIL_FROM}>`,
+    mailOptions = {
+      from: `"${fromName}" <${profile.sender.address}>`,
       to: recipients.join(','),
       subject,
-      html: `
-        <table style="width: 100%; font-family: Arial, sans-serif; background-color: #f9f9f9; padding: 20px;">
-  <tr>
-    <td align="center">
-      <table style="max-width: 600px; width: 100%; background-color: #ffffff; border-radius: 8px; padding: 30px; box-shadow: 0 0 10px rgba(0,0,0,0.05);">
-        <tr>
-          <td align="center" style="padding-bottom: 20px;">
-            <img src="https://cdn.dm.dynatrace.com/assets/Marketing/seo/dynatrace_web.png" alt="Dynatrace Logo" width="150" style="margin-bottom: 10px;" />
-          </td>
-        </tr>
-        <tr>
-          <td style="font-size: 16px; color: #333;">
-            <p>Hi Team,</p>
-            <p>Please find attached the latest <strong>Dynatrace Health Report</strong> generated by the AutomationEngine workflow.</p>
-            <ul style="padding-left: 20px;">
-              <li>Timeframe: <strong>Last 2 Hours</strong></li>
-              <li>Included: Metrics, Problems, and Anomalies</li>
-              <li>Format: Excel (.xlsx)</li>
-            </ul>
-            <p>Let us know if you need any clarifications or further insights.</p>
-            <p style="margin-top: 30px;">Regards,<br /><strong>Observability Platform</strong></p>
-          </td>
-        </tr>
-      </table>
-    </td>
-  </tr>
-</table>
-      `,
-      attachments: [{
-        filename: 'dynatrace-report.xlsx',
-        path: filePath,
-      }, ],
+      html,
+      text,
+      attachments: files,
     };
 
-    await transporter.sendMail(mailOptions);
+    await sendMailWithRetry(mailOptions, requestId, profile.name);
   } catch (error) {
     const msg = `❌ Email send failed: ${error.stack || error}`;
     logger.error(`[${requestId}] ${msg}`);
     await logToDynatrace('error', msg, requestId);
+    if (mailOptions) {
+      try {
+        const letter = await addDeadLetter({ mailOptions, error: error.message, attempts: error.attempts, traceId: requestId, profile: profile.name, client: report.client });
+        error.deadLetterId = letter.id;
+        logger.warn(`[${requestId}] 📪 Email moved to dead-letter store as ${letter.id}`);
+      } catch (storeError) {
+        logger.error(`[${requestId}] ❌ Could not store dead letter: ${storeError.message}`);
+      }
+    }
     throw error;
   }
 }
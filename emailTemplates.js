@@ -0,0 +1,72 @@
+// emailTemplates.js
+import fs from 'fs/promises';
+import path from 'path';
+import { escapeHtml } from './htmlGenerator.js';
+
+const TEMPLATE_DIR = process.env.EMAIL_TEMPLATE_DIR || './templates';
+export const DEFAULT_TEMPLATE = 'default';
+
+// Template names map straight to files, so keep them to a safe character set
+export function isValidTemplateName(name) {
+  return /^[\w-]+$/.test(name || '');
+}
+
+function templatePath(name, ext) {
+  return path.join(TEMPLATE_DIR, `${name}.${ext}`);
+}
+
+async function readTemplate(name, ext) {
+  try {
+    return await fs.readFile(templatePath(name, ext), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+export async function templateExists(name) {
+  return isValidTemplateName(name) && (await readTemplate(name, 'html')) !== null;
+}
+
+function lookup(vars, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), vars);
+}
+
+// {{name}} is escaped for HTML, {{{name}}} is inserted as-is, dotted paths reach into objects
+export function renderTemplate(source, vars, escape = escapeHtml) {
+  return source
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (_, key) => String(lookup(vars, key) ?? ''))
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => escape(lookup(vars, key) ?? ''));
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(br|\/p|\/tr|\/li|\/h\d)\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\n\s*\n\s*\n+/g, '\n\n')
+    .trim();
+}
+
+// Optional <name>.layout.json next to a template: default `columns` / `highlight` for its spreadsheets
+export async function loadTemplateLayout(name) {
+  if (!isValidTemplateName(name)) return null;
+  const source = await readTemplate(name, 'layout.json');
+  return source === null ? null : JSON.parse(source);
+}
+
+// Loads <name>.html (required) and <name>.txt (optional plain-text part) from EMAIL_TEMPLATE_DIR
+export async function renderEmailTemplate(name, vars) {
+  if (!isValidTemplateName(name)) {
+    throw new Error(`Invalid email template name: ${name}`);
+  }
+  const htmlSource = await readTemplate(name, 'html');
+  if (htmlSource === null) {
+    throw new Error(`Email template not found: ${name}`);
+  }
+  const textSource = await readTemplate(name, 'txt');
+
+  const html = renderTemplate(htmlSource, vars);
+  const text = textSource !== null ? renderTemplate(textSource, vars, String) : htmlToText(html);
+  return { html, text };
+}
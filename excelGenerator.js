@@ -1,13 +1,286 @@
 // excelGenerator.js
-import xlsx from 'xlsx';
+import ExcelJS from 'exceljs';
 import logger, { logToDynatrace } from './logger.js';
 
-export async function generateExcel(data, filePath, requestId) {
+export const COLUMN_TYPES = ['string', 'date', 'duration', 'number', 'percent'];
+const TIME_UNITS = ['s', 'ms', 'us', 'ns'];
+const MS_PER_UNIT = { s: 1000, ms: 1, us: 1 / 1000, ns: 1 / 1e6 };
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const NUMBER_FORMATS = {
+  date: 'yyyy-mm-dd hh:mm:ss',
+  duration: '[h]:mm:ss.000',
+  number: '#,##0.##',
+  percent: '0.00%',
+};
+
+const COLORS = { red: 'FFFFC7CE', amber: 'FFFFEB9C', green: 'FFC6EFCE', blue: 'FFDDEBF7', grey: 'FFEDEDED' };
+const HEADER_FILL = 'FFD9E1F2';
+
+// Applied to any column whose last name segment is one of these (severity, event.status, ...)
+// unless the request brings its own rule for that field or sets `highlight: false`
+const DEFAULT_HIGHLIGHT_FIELDS = ['severity', 'severitylevel', 'status', 'state', 'category'];
+const DEFAULT_HIGHLIGHT_VALUES = {
+  red: ['AVAILABILITY', 'ERROR', 'CRITICAL', 'FAILED', 'FAILURE', 'OPEN', 'ACTIVE', 'DOWN'],
+  amber: ['PERFORMANCE', 'RESOURCE_CONTENTION', 'CUSTOM_ALERT', 'WARNING', 'WARN', 'DEGRADED', 'PARTIAL', 'MONITORING_UNAVAILABLE'],
+  green: ['OK', 'RESOLVED', 'CLOSED', 'SUCCEEDED', 'SUCCESS', 'HEALTHY', 'UP'],
+};
+
+const MIN_WIDTH = 8;
+const MAX_WIDTH = 60;
+// Excel's hard limit is 1,048,576 rows including the header
+const EXCEL_ROW_LIMIT = 1048575;
+const MAX_ROWS_PER_SHEET = Math.min(parseInt(process.env.EXCEL_MAX_ROWS_PER_SHEET || String(EXCEL_ROW_LIMIT), 10), EXCEL_ROW_LIMIT);
+
+// Excel rejects sheet names longer than 31 chars or containing : \ / ? * [ ]
+function toSheetName(name, taken) {
+  const base = String(name).replace(/[:\\/?*[\]]/g, '_').slice(0, 31) || 'Sheet';
+  let sheetName = base;
+  for (let i = 2; taken.has(sheetName.toLowerCase()); i++) {
+    const suffix = ` (${i})`;
+    sheetName = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  taken.add(sheetName.toLowerCase());
+  return sheetName;
+}
+
+// Accepts either a flat array (single "Report" sheet) or { sheets: { Name: [...] } }
+export function normalizeSheets(data) {
+  if (data && !Array.isArray(data) && typeof data.sheets === 'object' && data.sheets !== null) {
+    const taken = new Set();
+    const sheets = {};
+    for (const [name, rows] of Object.entries(data.sheets)) {
+      sheets[toSheetName(name, taken)] = rows;
+    }
+    return sheets;
+  }
+  return { Report: data };
+}
+
+function toColor(color) {
+  if (COLORS[color]) return COLORS[color];
+  return /^[0-9a-f]{6}$/i.test(color) ? `FF${color.toUpperCase()}` : null;
+}
+
+function validateColumns(columns, path) {
+  if (!Array.isArray(columns)) return `\`${path}\` must be an array of column definitions`;
+  for (const [i, column] of columns.entries()) {
+    if (!column || typeof column.field !== 'string' || !column.field) return `\`${path}[${i}].field\` is required`;
+    if (column.type !== undefined && !COLUMN_TYPES.includes(column.type)) {
+      return `\`${path}[${i}].type\` must be one of ${COLUMN_TYPES.join(', ')}`;
+    }
+    if (column.unit !== undefined && !TIME_UNITS.includes(column.unit) && column.unit !== 'ratio') {
+      return `\`${path}[${i}].unit\` must be one of ${[...TIME_UNITS, 'ratio'].join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// Returns an error message, or null when `columns` / `highlight` are usable.
+// columns: [{ field, name?, type?, unit?, format?, width? }] for every sheet, or { Sheet: [...] }
+// highlight: false, or [{ field, values: { VALUE: 'red' | 'amber' | 'green' | 'blue' | 'grey' | 'RRGGBB' }, row? }]
+export function validateLayout({ columns, highlight } = {}) {
+  if (columns !== undefined) {
+    const perSheet = columns && !Array.isArray(columns) && typeof columns === 'object';
+    const entries = perSheet ? Object.entries(columns) : [['', columns]];
+    for (const [sheet, list] of entries) {
+      const error = validateColumns(list, sheet ? `columns.${sheet}` : 'columns');
+      if (error) return error;
+    }
+  }
+  if (highlight !== undefined && highlight !== false) {
+    if (!Array.isArray(highlight)) return '`highlight` must be false or an array of rules';
+    for (const [i, rule] of highlight.entries()) {
+      if (!rule || typeof rule.field !== 'string') return `\`highlight[${i}].field\` is required`;
+      if (!rule.values || typeof rule.values !== 'object') return `\`highlight[${i}].values\` must map values to colors`;
+      const bad = Object.values(rule.values).find(c => !toColor(String(c)));
+      if (bad !== undefined) return `\`highlight[${i}]\` has an unknown color: ${bad}`;
+    }
+  }
+  return null;
+}
+
+// Listed columns come first in the given order, any other fields in the data follow
+function sheetColumns(rows, sheetName, columns) {
+  const defined = (Array.isArray(columns) ? columns : columns?.[sheetName]) || [];
+  const seen = new Set(defined.map(c => c.field));
+  const extra = [];
+  for (const row of rows) {
+    for (const field of Object.keys(row || {})) {
+      if (!seen.has(field)) {
+        seen.add(field);
+        extra.push({ field });
+      }
+    }
+  }
+  return [...defined, ...extra].map(c => ({ ...c, name: c.name || c.field, type: c.type || 'string' }));
+}
+
+// Dynatrace timestamps arrive as epoch s/ms/ns numbers or ISO strings; without a unit, guess from magnitude
+export function toDate(value, unit) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string' && !/^\d+$/.test(value)) {
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? value : parsed;
+  }
+  const n = Number(value);
+  const guessed = unit || (n >= 1e17 ? 'ns' : n >= 1e14 ? 'us' : n >= 1e11 ? 'ms' : 's');
+  return new Date(n * MS_PER_UNIT[guessed]);
+}
+
+function toCellValue(value, column) {
+  if (value === null || value === undefined) return null;
+  switch (column.type) {
+    case 'date':
+      return toDate(value, column.unit);
+    case 'duration':
+      return Number.isFinite(Number(value)) ? (Number(value) * MS_PER_UNIT[column.unit || 'ms']) / MS_PER_DAY : value;
+    case 'percent':
+      return Number.isFinite(Number(value)) ? Number(value) / (column.unit === 'ratio' ? 1 : 100) : value;
+    case 'number':
+      return Number.isFinite(Number(value)) ? Number(value) : value;
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+}
+
+function displayLength(value, column) {
+  if (value === null || value === undefined) return 0;
+  if (column.type === 'date' && value instanceof Date) return 19;
+  if (column.type === 'duration') return 12;
+  return String(value).length;
+}
+
+// Maps column field → { VALUE: argb } from explicit rules, plus the defaults for recognised fields
+function highlightRules(columns, highlight) {
+  const rules = new Map();
+  if (highlight === false) return rules;
+  for (const column of columns) {
+    if (DEFAULT_HIGHLIGHT_FIELDS.includes(column.field.split('.').pop().toLowerCase())) {
+      const values = {};
+      for (const [color, list] of Object.entries(DEFAULT_HIGHLIGHT_VALUES)) {
+        for (const v of list) values[v] = COLORS[color];
+      }
+      rules.set(column.field, { values, row: false });
+    }
+  }
+  for (const rule of highlight || []) {
+    const values = {};
+    for (const [v, color] of Object.entries(rule.values)) values[String(v).toUpperCase()] = toColor(String(color));
+    rules.set(rule.field, { values, row: Boolean(rule.row) });
+  }
+  return rules;
+}
+
+function fill(argb) {
+  return { type: 'pattern', pattern: 'solid', fgColor: { argb } };
+}
+
+function columnWidth(width) {
+  return Math.min(Math.max(width + 2, MIN_WIDTH), MAX_WIDTH);
+}
+
+function styleHeader(worksheet, columnCount) {
+  const header = worksheet.getRow(1);
+  header.font = { bold: true };
+  header.eachCell(cell => { cell.fill = fill(HEADER_FILL); });
+  if (columnCount > 0) {
+    worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columnCount } };
+  }
+}
+
+// Rows are committed as they are written, so the workbook never sits in memory as a whole.
+// Widths are fitted in a first pass because the streaming writer needs them up front.
+function writeSheet(workbook, name, rows, columns, rules) {
+  // Converted once; the same cell values size the columns and fill the rows
+  const cellRows = rows.map(row => columns.map(c => toCellValue(row?.[c.field], c)));
+  const widths = columns.map(c => String(c.name).length);
+  for (const cells of cellRows) {
+    cells.forEach((v, i) => { widths[i] = Math.max(widths[i], displayLength(v, columns[i])); });
+  }
+
+  const worksheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  worksheet.columns = columns.map((c, i) => ({
+    header: c.name,
+    key: c.field,
+    width: c.width || columnWidth(widths[i]),
+    style: NUMBER_FORMATS[c.type] || c.format ? { numFmt: c.format || NUMBER_FORMATS[c.type] } : {},
+  }));
+  styleHeader(worksheet, columns.length);
+
+  const highlighted = columns.map((c, i) => [i + 1, rules.get(c.field)]).filter(([, rule]) => rule);
+  for (const cells of cellRows) {
+    const added = worksheet.addRow(cells);
+    for (const [col, rule] of highlighted) {
+      const argb = rule.values[String(added.getCell(col).value).toUpperCase()];
+      if (!argb) continue;
+      if (rule.row) added.eachCell(cell => { cell.fill = fill(argb); });
+      else added.getCell(col).fill = fill(argb);
+    }
+    added.commit();
+  }
+  worksheet.commit();
+}
+
+// Sheets longer than Excel's row limit continue on "<name> (2)", "<name> (3)", ...
+// Returns how many sheets were written.
+function addSheet(workbook, name, rows, layout, taken) {
+  const columns = sheetColumns(rows, name, layout.columns);
+  const rules = highlightRules(columns, layout.highlight);
+  let part = 0;
+  for (let offset = 0; offset === 0 || offset < rows.length; offset += MAX_ROWS_PER_SHEET) {
+    const sheetName = part === 0 ? name : toSheetName(name, taken);
+    writeSheet(workbook, sheetName, rows.slice(offset, offset + MAX_ROWS_PER_SHEET), columns, rules);
+    part++;
+  }
+  return part;
+}
+
+// First sheet with the { sheet, metric, value } rows from reportSummary.js
+function addSummarySheet(workbook, rows, taken) {
+  const name = taken.has('summary') ? 'Report Summary' : 'Summary';
+  taken.add(name.toLowerCase());
+  const widths = [5, 6, 5];
+  for (const row of rows) {
+    widths[0] = Math.max(widths[0], String(row.sheet).length);
+    widths[1] = Math.max(widths[1], String(row.metric).length);
+    widths[2] = Math.max(widths[2], row.value instanceof Date ? 19 : String(row.value).length);
+  }
+  const worksheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  worksheet.columns = [
+    { header: 'Sheet', key: 'sheet', width: columnWidth(widths[0]) },
+    { header: 'Metric', key: 'metric', width: columnWidth(widths[1]) },
+    { header: 'Value', key: 'value', width: columnWidth(widths[2]) },
+  ];
+  styleHeader(worksheet, 0);
+  for (const row of rows) {
+    const added = worksheet.addRow(row);
+    if (row.value instanceof Date) added.getCell(3).numFmt = NUMBER_FORMATS.date;
+    added.commit();
+  }
+  worksheet.commit();
+}
+
+// `layout` carries the optional `columns` and `highlight` definitions (see validateLayout);
+// `summaryRows`, when given, become a Summary sheet in front of the data sheets.
+export async function generateExcel(data, filePath, requestId, layout = {}, summaryRows = null) {
   try {
-    const worksheet = xlsx.utils.json_to_sheet(data);
-    const workbook = xlsx.utils.book_new();
-    xlsx.utils.book_append_sheet(workbook, worksheet, 'Report');
-    xlsx.writeFile(workbook, filePath);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useStyles: true });
+    const sheets = normalizeSheets(data);
+    const taken = new Set(Object.keys(sheets).map(n => n.toLowerCase()));
+    if (summaryRows) {
+      addSummarySheet(workbook, summaryRows, taken);
+    }
+    for (const [name, rows] of Object.entries(sheets)) {
+      const parts = addSheet(workbook, name, Array.isArray(rows) ? rows : [], layout, taken);
+      if (parts > 1) {
+        logger.info(`[${requestId}] ✂️ Sheet ${name} split into ${parts} sheets of up to ${MAX_ROWS_PER_SHEET} rows`);
+      }
+    }
+    if (Object.keys(sheets).length === 0) {
+      addSheet(workbook, 'Report', [], layout, taken);
+    }
+    await workbook.commit();
   } catch (error) {
     const msg = `❌ Excel generation failed: ${error.stack || error}`;
     logger.error(`[${requestId}] ${msg}`);
@@ -0,0 +1,131 @@
+// healthChecks.js
+import fs from 'fs/promises';
+import fetch from 'node-fetch';
+import net from 'net';
+import logger from './logger.js';
+import { getTransporter } from './emailSender.js';
+import { loadTelemetryConfig } from './telemetryConfig.js';
+import { parseByteSize } from './ndjsonBody.js';
+import { listProfiles, getProfile, DEFAULT_PROFILE } from './profiles.js';
+
+const DISK_PATH = process.env.HEALTH_DISK_PATH || './data';
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '5000', 10);
+const MIN_FREE_BYTES = parseByteSize(process.env.HEALTH_MIN_FREE_DISK, 100 * 1024 * 1024);
+// Probes arriving within this window share one result, so SMTP isn't dialled on every ping
+const CACHE_MS = parseInt(process.env.HEALTH_CACHE_MS || '10000', 10);
+// Failing checks outside this list are reported but leave the instance ready:
+// logs are spooled and spans dropped while Dynatrace is away, reports still go out.
+// profileSmtp isn't required either: one tenant's mail server must not take the instance away from all of them.
+const REQUIRED = (process.env.READINESS_REQUIRED_CHECKS || 'smtp,disk').split(',').map(s => s.trim()).filter(Boolean);
+
+function withTimeout(promise, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} did not answer within ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkSmtp(profile) {
+  if (!profile.smtp.host) return { status: 'skipped', detail: 'no SMTP host configured' };
+  await withTimeout(getTransporter(profile.name).verify(), 'SMTP server');
+  return { status: 'ok' };
+}
+
+// Any HTTP answer counts (a bare HEAD is usually refused): this is about DNS, TCP and TLS
+async function checkHttpReachable(url) {
+  if (!url) return { status: 'skipped', detail: 'no endpoint configured' };
+  const res = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+  return { status: 'ok', httpStatus: res.status };
+}
+
+// gRPC endpoints don't answer plain HTTP/1.1, so only the TCP connection is tried
+function checkTcpReachable(url) {
+  const { hostname, port, protocol } = new URL(url);
+  const socket = net.connect({ host: hostname, port: port || (protocol === 'https:' ? 443 : 80) });
+  return withTimeout(new Promise((resolve, reject) => {
+    socket.once('connect', () => resolve({ status: 'ok' }));
+    socket.once('error', reject);
+  }), 'OTLP endpoint').finally(() => socket.destroy());
+}
+
+async function checkOtlp(profile) {
+  const config = loadTelemetryConfig();
+  if (config.exporter !== 'otlp') return { status: 'skipped', detail: `TELEMETRY_EXPORTER is ${config.exporter}` };
+  const { otlpUrl } = profile.dynatrace;
+  if (config.protocol === 'grpc' && otlpUrl) return checkTcpReachable(otlpUrl);
+  return checkHttpReachable(otlpUrl);
+}
+
+async function checkDisk() {
+  await fs.mkdir(DISK_PATH, { recursive: true });
+  const { bavail, bsize } = await fs.statfs(DISK_PATH);
+  const freeBytes = bavail * bsize;
+  if (freeBytes < MIN_FREE_BYTES) {
+    return { status: 'fail', freeBytes, detail: `only ${freeBytes} bytes free in ${DISK_PATH}, need ${MIN_FREE_BYTES}` };
+  }
+  return { status: 'ok', freeBytes };
+}
+
+// Runs `check` once per distinct `section` of the configured profiles (profiles without their
+// own section share the default's) and fails when any of them fails, naming the profile.
+// `ownOnly` leaves out the default's section and the profiles sharing it.
+async function forEachProfile(section, check, { ownOnly = false } = {}) {
+  const shared = getProfile(DEFAULT_PROFILE)[section];
+  const bySection = new Map();
+  for (const p of listProfiles()) if (!bySection.has(p[section])) bySection.set(p[section], p);
+  const profiles = [...bySection.values()].filter(p => !ownOnly || p[section] !== shared);
+  if (profiles.length === 0) return { status: 'skipped', detail: `no profile has its own ${section} settings` };
+  const results = await Promise.all(profiles.map(async (profile) => {
+    try {
+      return { profile, ...(await check(profile)) };
+    } catch (err) {
+      return { profile, status: 'fail', detail: err.cause?.message || err.message };
+    }
+  }));
+  const failed = results.filter(r => r.status === 'fail');
+  if (failed.length > 0) return { status: 'fail', detail: failed.map(r => `${r.profile.name}: ${r.detail}`).join('; ') };
+  if (results.every(r => r.status === 'skipped')) return { status: 'skipped', detail: results[0].detail };
+  return { status: 'ok' };
+}
+
+const CHECKS = {
+  smtp: () => checkSmtp(getProfile(DEFAULT_PROFILE)),
+  profileSmtp: () => forEachProfile('smtp', checkSmtp, { ownOnly: true }),
+  logIngest: () => forEachProfile('dynatrace', p => checkHttpReachable(p.dynatrace.logIngestUrl)),
+  otlp: () => forEachProfile('dynatrace', checkOtlp),
+  disk: checkDisk,
+};
+
+async function run(check) {
+  const started = Date.now();
+  try {
+    return { ...(await check()), durationMs: Date.now() - started };
+  } catch (err) {
+    return { status: 'fail', detail: err.cause?.message || err.message, durationMs: Date.now() - started };
+  }
+}
+
+let cached = null;
+let lastFailing = '';
+
+// Runs every check in parallel → { ready, checks: { smtp, profileSmtp, logIngest, otlp, disk } }, each
+// { status: ok | fail | skipped, detail?, durationMs }. Changes in the failing set are logged.
+export function checkReadiness() {
+  if (cached && Date.now() - cached.at < CACHE_MS) return cached.result;
+  const result = (async () => {
+    const names = Object.keys(CHECKS);
+    const results = await Promise.all(names.map(name => run(CHECKS[name])));
+    const checks = Object.fromEntries(names.map((name, i) => [name, { ...results[i], required: REQUIRED.includes(name) }]));
+    const failing = names.filter(name => checks[name].status === 'fail');
+    const summary = failing.map(name => `${name}: ${checks[name].detail}`).join('; ');
+    if (summary !== lastFailing) {
+      if (summary) logger.warn(`⚠️ Health checks failing – ${summary}`);
+      else logger.info('✅ All health checks passing again');
+      lastFailing = summary;
+    }
+    return { ready: !failing.some(name => checks[name].required), checks };
+  })();
+  cached = { at: Date.now(), result };
+  return result;
+}
@@ -0,0 +1,66 @@
+// htmlGenerator.js
+import logger, { logToDynatrace } from './logger.js';
+import { normalizeSheets } from './excelGenerator.js';
+
+const MAX_ROWS = parseInt(process.env.HTML_TABLE_MAX_ROWS || '500', 10);
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function columnsOf(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row || {})) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  return columns;
+}
+
+function formatCell(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+function renderTable(name, rows) {
+  const columns = columnsOf(rows);
+  const shown = rows.slice(0, MAX_ROWS);
+  const th = 'style="text-align: left; padding: 6px 8px; background-color: #1496ff; color: #ffffff; font-weight: bold;"';
+  const td = 'style="padding: 6px 8px; border-bottom: 1px solid #e6e6e6;"';
+
+  const head = columns.map(c => `<th ${th}>${escapeHtml(c)}</th>`).join('');
+  const body = shown
+    .map(row => `<tr>${columns.map(c => `<td ${td}>${escapeHtml(formatCell(row?.[c]))}</td>`).join('')}</tr>`)
+    .join('\n');
+  const more = rows.length > shown.length
+    ? `<p style="font-size: 12px; color: #777;">… ${rows.length - shown.length} more rows not shown.</p>`
+    : '';
+
+  return `
+<h3 style="font-family: Arial, sans-serif; color: #333;">${escapeHtml(name)}</h3>
+<table style="width: 100%; border-collapse: collapse; font-family: Arial, sans-serif; font-size: 13px;">
+  <thead><tr>${head}</tr></thead>
+  <tbody>
+${body}
+  </tbody>
+</table>${more}`;
+}
+
+// Returns an HTML fragment with one table per sheet, for embedding in the email body
+export async function generateHtmlTable(data, requestId) {
+  try {
+    return Object.entries(normalizeSheets(data))
+      .map(([name, rows]) => renderTable(name, Array.isArray(rows) ? rows : []))
+      .join('\n');
+  } catch (error) {
+    const msg = `❌ HTML table generation failed: ${error.stack || error}`;
+    logger.error(`[${requestId}] ${msg}`);
+    await logToDynatrace('error', msg, requestId);
+    throw error;
+  }
+}
@@ -1,90 +1,256 @@
 // index.js
-import './tracer.js';
+import { metricsHandler, shutdownTelemetry } from './tracer.js';
 import express from 'express';
 import dotenv from 'dotenv';
-import fetch from 'node-fetch';
-import { generateExcel } from './excelGenerator.js';
-import { sendEmailWithAttachment } from './emailSender.js';
-import logger, { logToDynatrace } from './logger.js';
-import { trace, context } from '@opentelemetry/api';
+import path from 'path';
+import logger, { logToDynatrace, ingestClient } from './logger.js';
+import { trace, context, ROOT_CONTEXT } from '@opentelemetry/api';
+import { parseReportRequest, generateAndSendReport, sendExecutionSummary, reportsInFlight, waitForReports } from './reportPipeline.js';
+import { createJobQueue } from './jobQueue.js';
+import scheduleRoutes from './scheduleRoutes.js';
+import deadLetterRoutes from './deadLetterRoutes.js';
+import runHistoryRoutes from './runHistoryRoutes.js';
+import { startScheduler, stopScheduler } from './scheduler.js';
+import { authenticate, disallowedRecipients, disallowedChannels, logRejection, defaultProfileFor, profileAllowed, ownsResource } from './auth.js';
+import { bindTraceToProfile } from './profiles.js';
+import { artifactPath, verifyDownloadLink, startArtifactCleanup } from './artifactStore.js';
+import { validateSendReport, getSendReportSchema, recordValidationErrors, sendProblem } from './requestValidation.js';
+import { ndjsonBody, signedNdjsonBody, parseByteSize } from './ndjsonBody.js';
+import { closeTransporter } from './emailSender.js';
+import { checkReadiness } from './healthChecks.js';
+import { savePendingJobs, takePendingJobs } from './pendingJobStore.js';
+import { redactHeaders } from './redaction.js';
+import { startRunHistoryCleanup } from './runHistoryStore.js';
 
 dotenv.config();
 const app = express();
-app.use(express.json());
+// How long SIGTERM waits for reports in flight before telemetry is flushed and the process exits
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '25000', 10);
+let shuttingDown = false;
 
-app.post('/v1/api/send-report', async (req, res) => {
-  const tracer = trace.getTracer('dynatrace-email-reporter');
+// While shutting down only health probes are answered; connections close after each response
+app.use((req, res, next) => {
+  if (!shuttingDown) {
+    next();
+    return;
+  }
+  res.set('Connection', 'close');
+  if (req.path === '/healthz' || req.path === '/readyz') {
+    next();
+    return;
+  }
+  res.set('Retry-After', '30').status(503).send('❌ Server is shutting down.');
+});
+
+// JSON bodies up to REPORT_BODY_LIMIT; NDJSON exports to send-report are parsed line by line,
+// once the caller is authenticated, up to REPORT_NDJSON_LIMIT
+const BODY_LIMIT = parseByteSize(process.env.REPORT_BODY_LIMIT, 10 * 1024 * 1024);
+const NDJSON_LIMIT = parseByteSize(process.env.REPORT_NDJSON_LIMIT, 20 * 1024 * 1024);
+app.use(express.json({
+  limit: BODY_LIMIT,
+  verify: (req, res, buf) => {
+    req.bodyBytes = buf.length;
+    // Keep the raw body around for HMAC signature checks
+    if (req.headers['x-signature']) req.rawBody = buf.toString('utf8');
+  },
+}));
+
+const tracer = trace.getTracer('dynatrace-email-reporter');
+
+// Async report jobs run through the same pipeline in a child span of the request that queued them
+const jobQueue = createJobQueue({
+  concurrency: parseInt(process.env.REPORT_QUEUE_CONCURRENCY || '2', 10),
+  ttlMs: parseInt(process.env.REPORT_JOB_TTL_MS || '3600000', 10),
+  worker: async (job) => {
+    const { report, headers, parentContext } = job.payload;
+    const span = tracer.startSpan('report-job', { attributes: { 'report.job_id': job.id } }, parentContext);
+    const ctx = trace.setSpan(parentContext, span);
+    const traceId = span.spanContext().traceId;
+    const spanId = span.spanContext().spanId;
+    const startTime = Date.now();
+
+    try {
+      const result = await context.with(ctx, () =>
+        generateAndSendReport(report, traceId, job.id)
+      );
+      const totalTime = Date.now() - startTime;
+      job.timings = { query_time_ms: result.queryTime, excel_time_ms: result.excelTime, email_time_ms: result.emailTime, total_time_ms: totalTime };
+      logger.info(`[${traceId}] ✅ Report job ${job.id} completed in ${totalTime} ms`);
+
+      await sendExecutionSummary({
+        traceId, spanId, headers,
+        data: report.data,
+        formats: report.formats,
+        deliveries: result.deliveries,
+        queryTime: result.queryTime,
+        excelTime: result.excelTime,
+        emailTime: result.emailTime,
+        totalTime,
+        extra: { report_job_id: job.id },
+      });
+      span.end();
+      return result;
+    } catch (err) {
+      span.recordException(err);
+      span.setStatus({ code: 2, message: err.message });
+      span.end();
+      job.deliveries = err.deliveries;
+      await logToDynatrace('ERROR', `Report job ${job.id} failed: ${err.message}`, traceId, spanId);
+      throw err;
+    }
+  },
+});
+
+function isAsyncRequest(req) {
+  return (req.headers['x-report-mode'] || req.query.mode || '').toLowerCase() === 'async';
+}
+
+function describeJob(job) {
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  const base = `/v1/api/reports/${job.id}`;
+  return {
+    jobId: job.id,
+    status: job.status,
+    traceId: job.traceId,
+    createdAt: iso(job.createdAt),
+    startedAt: iso(job.startedAt),
+    finishedAt: iso(job.finishedAt),
+    timings: job.timings || null,
+    error: job.error || null,
+    deliveries: job.result?.deliveries || job.deliveries || [],
+    artifacts: (job.result?.attachments || []).map(a => ({
+      filename: a.filename,
+      contentType: a.contentType,
+      downloadUrl: `${base}/download?file=${encodeURIComponent(a.filename)}`,
+    })),
+    statusUrl: base,
+  };
+}
+
+// Validation failures are the caller's mistake: a 400 problem response and span events, no error status
+function rejectInvalid(res, span, traceId, errors, detail = '❌ Request does not match the send-report schema.') {
+  recordValidationErrors(span, errors);
+  span.end();
+  logger.warn(`[${traceId}] ⚠️ Invalid report request: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+  sendProblem(res, { status: 400, title: 'Invalid report request', detail, errors, traceId });
+}
+
+// A signed NDJSON body has to be read before its signature can be checked
+app.use('/v1/api/send-report', signedNdjsonBody({ limit: NDJSON_LIMIT }));
+app.use(['/v1/api/send-report', '/v1/api/reports', '/v1/api/schedules', '/v1/api/dead-letters'], authenticate);
+
+app.post('/v1/api/send-report', ndjsonBody({ limit: NDJSON_LIMIT }), async (req, res) => {
   const span = tracer.startSpan('send-report-handler');
   const ctx = trace.setSpan(context.active(), span);
   const traceId = span.spanContext().traceId;
   const spanId = span.spanContext().spanId;
   const startTime = Date.now();
+  // Callers that pick channels get a JSON body with one result per channel
+  const detailed = Boolean(req.headers['x-report-channels'] || req.body?.channels);
 
   try {
     const jsonData = req.body;
-    const recipients = req.headers['x-email-to']?.split(',').map(e => e.trim());
-    const subject = req.headers['x-email-subject'] || 'Dynatrace Report';
-    const fromName = req.headers['x-email-from-name'] || 'Observability Platform';
-
-    if (!recipients || recipients.length === 0) {
-      res.status(400).send('❌ Missing x-email-to header.');
+    const validationErrors = validateSendReport(req.headers, jsonData);
+    if (validationErrors.length > 0) {
+      rejectInvalid(res, span, traceId, validationErrors);
+      return;
+    }
+    const { error, field, report } = await parseReportRequest(req.headers, jsonData, defaultProfileFor(req.client));
+    if (error) {
+      rejectInvalid(res, span, traceId, [{ field, message: error.replace(/^❌ /, '') }], error);
       return;
     }
+    const blocked = disallowedRecipients(req.client, report.recipients);
+    if (blocked.length > 0) {
+      await context.with(ctx, () => logRejection(req, `Recipients not allowed: ${blocked.join(', ')}`));
+      span.setStatus({ code: 2, message: 'Recipients not allowed' });
+      span.end();
+      sendProblem(res, {
+        status: 403,
+        title: 'Recipients not allowed',
+        detail: `❌ Recipients not allowed for this client: ${blocked.join(', ')}.`,
+        errors: blocked.map(r => ({ field: 'headers.x-email-to', message: `${r} is not allowed for this client` })),
+        traceId,
+      });
+      return;
+    }
+    const blockedChannels = disallowedChannels(req.client, report.channels);
+    if (blockedChannels.length > 0) {
+      await context.with(ctx, () => logRejection(req, `Channel URLs not allowed: ${blockedChannels.join(', ')}`));
+      span.setStatus({ code: 2, message: 'Channel URLs not allowed' });
+      span.end();
+      sendProblem(res, {
+        status: 403,
+        title: 'Channel URLs not allowed',
+        detail: `❌ Channel URLs not allowed for this client: ${blockedChannels.join(', ')}.`,
+        errors: blockedChannels.map(u => ({ field: 'channels', message: `${u} is not allowed for this client` })),
+        traceId,
+      });
+      return;
+    }
+    if (!profileAllowed(req.client, report.profile)) {
+      await context.with(ctx, () => logRejection(req, `Profile not allowed: ${report.profile}`));
+      span.setStatus({ code: 2, message: 'Profile not allowed' });
+      span.end();
+      sendProblem(res, {
+        status: 403,
+        title: 'Profile not allowed',
+        detail: `❌ Profile not allowed for this client: ${report.profile}.`,
+        errors: [{ field: req.headers['x-report-profile'] ? 'headers.x-report-profile' : 'body.profile', message: `${report.profile} is not allowed for this client` }],
+        traceId,
+      });
+      return;
+    }
+    // The rest of this trace, and its logs, go to the profile's Dynatrace environment
+    bindTraceToProfile(traceId, report.profile);
+    span.setAttribute('report.profile', report.profile);
+    if (req.client) span.setAttribute('enduser.id', req.client.name);
+    report.client = req.client?.name;
+    span.setAttribute('http.request.body.size', req.bodyBytes || 0);
+    span.setAttribute('report.formats', report.formats.join(','));
+    span.setAttribute('email.template', report.template);
 
-    const filePath = './data/dynatrace-report.xlsx';
-    let excelTime = 0, emailTime = 0;
+    if (isAsyncRequest(req)) {
+      const job = jobQueue.enqueue({ report, headers: req.headers, parentContext: ctx });
+      job.traceId = traceId;
+      span.setAttribute('report.job_id', job.id);
+      span.end();
+      logger.info(`[${traceId}] ⏳ Report job ${job.id} queued`);
+      res.status(202).json(describeJob(job));
+      return;
+    }
 
+    let result;
     await context.with(ctx, async () => {
-      const excelStart = Date.now();
-      await generateExcel(jsonData, filePath);
-      excelTime = Date.now() - excelStart;
-      logger.info(`[${traceId}] ✅ Excel generated in ${excelTime} ms`);
-
-      const emailStart = Date.now();
-      await sendEmailWithAttachment(filePath, recipients, subject, fromName);
-      emailTime = Date.now() - emailStart;
-      logger.info(`[${traceId}] ✅ Email sent in ${emailTime} ms`);
+      result = await generateAndSendReport(report, traceId);
     });
 
     const totalTime = Date.now() - startTime;
     logger.info(`[${traceId}] ✅ Request completed in ${totalTime} ms`);
 
-    // ✅ Unified JSON log payload
-    const payload = [
-      {
-        timestamp: Date.now(),
-        level: 'INFO',
-        content: 'Dynatrace email reporting execution summary',
-        trace_id: traceId,
-        span_id: spanId,
-        service: 'dynatrace-email-reporter',
-        'dt.entity.host': 'HOST-69CF503A58882ED2',
-        'log.source': 'v1/api/dynatrace-email-report',
-        request_headers: req.headers,
-        request_payload: jsonData,
-        excel_time_ms: excelTime,
-        email_time_ms: emailTime,
-        total_time_ms: totalTime,
-      },
-    ];
-
-    const response = await fetch(process.env.DYNATRACE_LOG_INGEST_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Api-Token ${process.env.DYNATRACE_API_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
+    await sendExecutionSummary({
+      traceId, spanId,
+      headers: req.headers,
+      data: jsonData,
+      formats: report.formats,
+      deliveries: result.deliveries,
+      queryTime: result.queryTime,
+      excelTime: result.excelTime,
+      emailTime: result.emailTime,
+      totalTime,
     });
 
-    if (response.ok) {
-      logger.info(`[Dynatrace] ✅ Batched log sent | traceId: ${traceId}`);
-    } else {
-      const errorText = await response.text();
-      logger.error(`[Dynatrace] ❌ Failed to ingest log | ${response.status}: ${errorText}`);
-    }
-
+    const partial = result.deliveries.some(d => d.status === 'failed');
+    if (partial) span.setStatus({ code: 2, message: 'Some delivery channels failed' });
     span.end();
+    if (detailed) {
+      res.status(partial ? 207 : 200).json({
+        message: partial ? '⚠️ Report delivered to some channels only.' : '✅ Report sent successfully.',
+        traceId,
+        deliveries: result.deliveries,
+      });
+      return;
+    }
     res.status(200).send(`✅ Report sent successfully. Trace ID: ${traceId}`);
   } catch (err) {
     span.recordException(err);
@@ -92,13 +258,185 @@ app.post('/v1/api/send-report', async (req, res) => {
     span.end();
     logger.error(`[${traceId}] ❌ Error: ${err.message}`);
     await logToDynatrace('ERROR', `Request failed: ${err.message}`, traceId, spanId);
-    res.status(500).send('❌ Failed to send report.');
+    if (detailed && err.deliveries) {
+      sendProblem(res, { status: 502, title: 'Delivery failed', detail: '❌ Failed to send report.', traceId, deliveries: err.deliveries });
+      return;
+    }
+    sendProblem(res, { status: 500, title: 'Report failed', detail: '❌ Failed to send report.', traceId });
   }
 });
 
+// Run history: every report sent, whatever the route; mounted before the job routes below
+app.use('/v1/api/reports', runHistoryRoutes);
+
+// Jobs belong to the client that queued them; anyone else's answer 404
+function findJob(req) {
+  const job = jobQueue.get(req.params.jobId);
+  return job && ownsResource(req.client, job.payload.report.client) ? job : null;
+}
+
+app.get('/v1/api/reports/:jobId', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    res.status(404).send('❌ Report job not found.');
+    return;
+  }
+  res.json(describeJob(job));
+});
+
+app.get('/v1/api/reports/:jobId/download', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    res.status(404).send('❌ Report job not found.');
+    return;
+  }
+  if (job.status !== 'succeeded') {
+    res.status(409).send(`❌ Report job is ${job.status}.`);
+    return;
+  }
+  const attachments = job.result.attachments;
+  const artifact = req.query.file
+    ? attachments.find(a => a.filename === req.query.file)
+    : attachments[0];
+  if (!artifact) {
+    res.status(404).send('❌ Report artifact not found.');
+    return;
+  }
+  res.download(path.resolve(artifact.path), artifact.filename, (err) => {
+    if (err && !res.headersSent) res.status(410).send('❌ Report artifact has been cleaned up.');
+  });
+});
+
+// Target of the signed links emailed instead of large attachments
+app.get('/v1/api/artifacts/:key/:filename', (req, res) => {
+  const { key, filename } = req.params;
+  const filePath = artifactPath(key, filename);
+  if (!filePath || !verifyDownloadLink(key, filename, req.query.expires, req.query.sig)) {
+    res.status(403).send('❌ Download link is invalid or has expired.');
+    return;
+  }
+  res.download(path.resolve(filePath), filename, (err) => {
+    if (err && !res.headersSent) res.status(404).send('❌ Report artifact not found.');
+  });
+});
+
+app.use('/v1/api/schedules', scheduleRoutes);
+app.use('/v1/api/dead-letters', deadLetterRoutes);
+
+app.get('/metrics', metricsHandler);
+
+app.get('/v1/api/schemas/send-report', (req, res) => {
+  res.type('application/schema+json').send(JSON.stringify(getSendReportSchema(), null, 2));
+});
+
+// Malformed or oversized JSON bodies never reach the routes; answer them as problem details too
+app.use((err, req, res, next) => {
+  if (!err.type?.startsWith('entity.')) {
+    next(err);
+    return;
+  }
+  const span = trace.getActiveSpan();
+  const errors = [{ field: 'body', message: err.message }];
+  if (span) recordValidationErrors(span, errors);
+  sendProblem(res, {
+    status: err.status || 400,
+    title: 'Unreadable request body',
+    detail: `❌ ${err.message}.`,
+    errors,
+    traceId: span?.spanContext().traceId,
+  });
+});
+
 app.get('/', (req, res) => {
   res.send('Hello from dynatrace-email-reporter!');
 });
 
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.status(shuttingDown ? 503 : 200).json({
+    status: shuttingDown ? 'shutting down' : 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    reportsInFlight: reportsInFlight(),
+    jobs: jobQueue.stats(),
+  });
+});
+
+// Readiness: SMTP, Dynatrace endpoints and disk space (see healthChecks.js); 503 names what is failing
+app.get('/readyz', async (req, res) => {
+  if (shuttingDown) {
+    res.status(503).json({ status: 'shutting down' });
+    return;
+  }
+  const { ready, checks } = await checkReadiness();
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+});
+
+startArtifactCleanup();
+startRunHistoryCleanup();
+// Ship log batches spooled while Dynatrace was unreachable during a previous run
+ingestClient.replaySpool();
+
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  await startScheduler();
+}
+
+// Jobs still queued at the last shutdown run again, in the trace of the request that queued them
+try {
+  for (const saved of await takePendingJobs()) {
+    const parentContext = trace.setSpanContext(ROOT_CONTEXT, { ...saved.parent, isRemote: true });
+    const job = jobQueue.enqueue({ report: saved.report, headers: saved.headers, parentContext }, saved);
+    job.traceId = saved.traceId;
+    logger.info(`[${saved.traceId}] ⏳ Report job ${job.id} resumed after restart`);
+  }
+} catch (err) {
+  logger.error(`❌ Could not resume saved report jobs: ${err.message}`);
+}
+
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => console.log(`🚀 Server running at http://localhost:${PORT}`));
+const server = app.listen(PORT, () => console.log(`🚀 Server running at http://localhost:${PORT}`));
+
+// Stop taking requests, save queued jobs, let running reports finish (up to SHUTDOWN_TIMEOUT_MS),
+// then close SMTP connections and flush logs, spans and metrics
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  logger.info(`🛑 ${signal} received, shutting down (${reportsInFlight()} report(s) in flight)`);
+  stopScheduler();
+  const closed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+
+  const queued = jobQueue.stop();
+  if (queued.length > 0) {
+    try {
+      await savePendingJobs(queued.map(job => ({
+        id: job.id,
+        createdAt: job.createdAt,
+        traceId: job.traceId,
+        parent: trace.getSpanContext(job.payload.parentContext),
+        report: job.payload.report,
+        headers: redactHeaders(job.payload.headers),
+      })));
+      logger.info(`💾 ${queued.length} queued report job(s) saved for the next start`);
+    } catch (err) {
+      logger.error(`❌ Could not save queued report jobs ${queued.map(job => job.id).join(', ')}: ${err.message}`);
+    }
+  }
+
+  if (!(await waitForReports(deadline - Date.now()))) {
+    logger.warn(`⚠️ ${reportsInFlight()} report(s) still running after ${SHUTDOWN_TIMEOUT_MS} ms, exiting anyway`);
+  }
+  // Responses of finished reports are still being written; give them what is left of the deadline
+  let timer;
+  await Promise.race([closed, new Promise(resolve => { timer = setTimeout(resolve, Math.max(0, deadline - Date.now())); })]);
+  clearTimeout(timer);
+  server.closeAllConnections();
+
+  closeTransporter();
+  await ingestClient.shutdown();
+  await shutdownTelemetry();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
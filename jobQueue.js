@@ -0,0 +1,66 @@
+// jobQueue.js
+import { v4 as uuidv4 } from 'uuid';
+import logger from './logger.js';
+
+// In-process FIFO queue: `worker(job)` runs for each job with at most `concurrency`
+// in flight. Finished jobs are kept for `ttlMs` so callers can poll their status.
+// stop() starts nothing new and hands back the jobs still waiting, e.g. to save them on shutdown.
+export function createJobQueue({ worker, concurrency = 2, ttlMs = 60 * 60 * 1000 }) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+  let stopped = false;
+
+  function evictExpired() {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+    }
+  }
+
+  async function run(job) {
+    running++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    try {
+      job.result = await worker(job);
+      job.status = 'succeeded';
+    } catch (err) {
+      job.status = 'failed';
+      job.error = err.message;
+      logger.error(`[job ${job.id}] ❌ Report job failed: ${err.message}`);
+    } finally {
+      job.finishedAt = Date.now();
+      running--;
+      drain();
+    }
+  }
+
+  function drain() {
+    while (!stopped && running < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  }
+
+  return {
+    // `saved` restores the id and creation time of a job carried over from a previous run
+    enqueue(payload, saved = {}) {
+      evictExpired();
+      const job = { id: saved.id || uuidv4(), status: 'queued', createdAt: saved.createdAt || Date.now(), payload };
+      jobs.set(job.id, job);
+      pending.push(job);
+      drain();
+      return job;
+    },
+    get(id) {
+      return jobs.get(id);
+    },
+    stats() {
+      return { queued: pending.length, running, concurrency };
+    },
+    stop() {
+      stopped = true;
+      return pending.splice(0);
+    },
+  };
+}
@@ -0,0 +1,214 @@
+// logIngestClient.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import winston from 'winston';
+import { trace } from '@opentelemetry/api';
+import { countLogIngestFailure } from './metrics.js';
+
+const RETRYABLE = (status) => status === 429 || status >= 500;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function truncate(value, maxBytes) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return Buffer.byteLength(text) > maxBytes
+    ? `${Buffer.from(text).subarray(0, maxBytes).toString('utf8')}…[truncated]`
+    : value;
+}
+
+// Shrinks oversized fields so a single record always fits in one request
+function fitRecord(record, maxRecordBytes) {
+  if (Buffer.byteLength(JSON.stringify(record)) <= maxRecordBytes) return record;
+  const fieldBudget = Math.floor(maxRecordBytes / Math.max(Object.keys(record).length, 1));
+  const fitted = {};
+  for (const [key, value] of Object.entries(record)) {
+    fitted[key] = (value !== null && typeof value === 'object') || typeof value === 'string'
+      ? truncate(value, fieldBudget)
+      : value;
+  }
+  return fitted;
+}
+
+// Batched Dynatrace log ingest with retry/backoff on 429 and 5xx. Batches that still fail
+// are written to `spoolDir` and replayed by replaySpool(), e.g. on the next startup.
+// `logger` is only used for the client's own status lines and must not forward to Dynatrace.
+// `redact` is applied to every record as it is queued (see redaction.js).
+export function createLogIngestClient({
+  url = process.env.DYNATRACE_LOG_INGEST_URL,
+  token = process.env.DYNATRACE_API_TOKEN,
+  logger = console,
+  maxBatchRecords = parseInt(process.env.LOG_INGEST_MAX_BATCH_RECORDS || '1000', 10),
+  maxPayloadBytes = parseInt(process.env.LOG_INGEST_MAX_PAYLOAD_BYTES || String(1024 * 1024), 10),
+  maxRecordBytes = parseInt(process.env.LOG_INGEST_MAX_RECORD_BYTES || String(64 * 1024), 10),
+  flushIntervalMs = parseInt(process.env.LOG_INGEST_FLUSH_INTERVAL_MS || '2000', 10),
+  maxRetries = parseInt(process.env.LOG_INGEST_MAX_RETRIES || '4', 10),
+  spoolDir = process.env.LOG_INGEST_SPOOL_DIR || './data/log-spool',
+  redact = (record) => record,
+} = {}) {
+  let buffer = [];
+  let timer = null;
+  let flushing = Promise.resolve();
+  let replaying = null;
+
+  // Status lines carry ingest: false so the winston transport below never loops them back
+  const note = (level, msg) => logger[level](`[Dynatrace] ${msg}`, { ingest: false });
+
+  // Returns 'sent', 'retry' (worth spooling) or 'dropped' (rejected or unconfigured, retrying won't help)
+  async function post(records) {
+    if (!url || !token) {
+      note('error', `❌ Missing Dynatrace log ingest endpoint or token, dropping ${records.length} log record(s)`);
+      return 'dropped';
+    }
+    for (let attempt = 0; ; attempt++) {
+      let retryAfterMs = 0;
+      try {
+        const res = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Api-Token ${token}`,
+            'Content-Type': 'application/json; charset=utf-8',
+          },
+          body: JSON.stringify(records),
+        });
+        if (res.ok) {
+          note('info', `✅ ${records.length} log record(s) sent`);
+          return 'sent';
+        }
+        const errorText = await res.text();
+        if (!RETRYABLE(res.status)) {
+          note('error', `❌ Failed to ingest ${records.length} log record(s) | ${res.status}: ${errorText}`);
+          return 'dropped';
+        }
+        retryAfterMs = (parseInt(res.headers.get('retry-after'), 10) || 0) * 1000;
+        note('warn', `⚠️ Log ingest attempt ${attempt + 1} failed | ${res.status}: ${errorText}`);
+      } catch (err) {
+        note('warn', `⚠️ Log ingest attempt ${attempt + 1} failed | ${err.message}`);
+      }
+      if (attempt >= maxRetries) return 'retry';
+      await sleep(Math.max(retryAfterMs, 500 * 2 ** attempt + Math.random() * 250));
+    }
+  }
+
+  async function spool(records) {
+    await fs.mkdir(spoolDir, { recursive: true });
+    const file = path.join(spoolDir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+    await fs.writeFile(file, JSON.stringify(records));
+    note('warn', `💾 Spooled ${records.length} log record(s) to ${file}`);
+  }
+
+  // Splits records into requests that stay under the record count and byte limits
+  function toBatches(records) {
+    const batches = [];
+    let current = [];
+    let bytes = 2;
+    for (const record of records) {
+      const size = Buffer.byteLength(JSON.stringify(record)) + 1;
+      if (current.length > 0 && (current.length >= maxBatchRecords || bytes + size > maxPayloadBytes)) {
+        batches.push(current);
+        current = [];
+        bytes = 2;
+      }
+      current.push(record);
+      bytes += size;
+    }
+    if (current.length > 0) batches.push(current);
+    return batches;
+  }
+
+  async function send(records) {
+    let spooled = false;
+    for (const batch of toBatches(records)) {
+      const outcome = await post(batch);
+      if (outcome !== 'sent') countLogIngestFailure(outcome === 'retry' ? 'spooled' : 'dropped', batch.length);
+      if (outcome === 'retry') {
+        await spool(batch).catch(err => note('error', `❌ Could not spool log records: ${err.message}`));
+        spooled = true;
+      }
+    }
+    if (!spooled) replaySpool();
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const records = buffer;
+    buffer = [];
+    if (records.length > 0) {
+      flushing = flushing.then(() => send(records));
+    }
+    return flushing;
+  }
+
+  function enqueue(record) {
+    buffer.push(fitRecord(redact({ timestamp: Date.now(), ...record }), maxRecordBytes));
+    if (buffer.length >= maxBatchRecords) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, flushIntervalMs);
+      timer.unref?.();
+    }
+  }
+
+  // Re-sends spooled batches oldest first and stops at the first one that still fails
+  function replaySpool() {
+    if (replaying) return replaying;
+    replaying = (async () => {
+      let files;
+      try {
+        files = (await fs.readdir(spoolDir)).filter(f => f.endsWith('.json')).sort();
+      } catch (err) {
+        if (err.code !== 'ENOENT') note('error', `❌ Could not read log spool: ${err.message}`);
+        return;
+      }
+      for (const file of files) {
+        const filePath = path.join(spoolDir, file);
+        let records;
+        try {
+          records = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (err) {
+          note('error', `❌ Discarding unreadable spool file ${file}: ${err.message}`);
+          await fs.unlink(filePath);
+          continue;
+        }
+        const outcome = await post(records);
+        if (outcome === 'retry') return;
+        await fs.unlink(filePath);
+        if (outcome === 'sent') note('info', `♻️ Replayed ${records.length} spooled log record(s)`);
+      }
+    })()
+      .catch(err => note('error', `❌ Log spool replay failed: ${err.message}`))
+      .finally(() => { replaying = null; });
+    return replaying;
+  }
+
+  return { enqueue, flush, replaySpool, shutdown: flush };
+}
+
+// Winston transport that ships entries through an ingest client, tagged with the active span.
+// `fields` are added to every record (service, host entity, ...); a function gets the trace id and returns them.
+export class DynatraceLogTransport extends winston.Transport {
+  constructor({ client, fields = {}, ...options }) {
+    super(options);
+    this.client = client;
+    this.fields = fields;
+  }
+
+  log(info, callback) {
+    setImmediate(() => this.emit('logged', info));
+    const { level, message, ingest, timestamp, ...meta } = info;
+    if (ingest !== false) {
+      const spanContext = trace.getActiveSpan()?.spanContext();
+      this.client.enqueue({
+        ...(typeof this.fields === 'function' ? this.fields(spanContext?.traceId) : this.fields),
+        ...meta,
+        content: message,
+        level: level.toUpperCase(),
+        timestamp: timestamp ? new Date(timestamp).getTime() : Date.now(),
+        trace_id: spanContext?.traceId,
+        span_id: spanContext?.spanId,
+      });
+    }
+    callback();
+  }
+}
@@ -1,12 +1,30 @@
 // logger.js
+import path from 'path';
 import winston from 'winston';
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { createLogIngestClient, DynatraceLogTransport } from './logIngestClient.js';
+import { redactString, redactLogRecord } from './redaction.js';
+import { listProfiles, profileForTrace, DEFAULT_PROFILE } from './profiles.js';
 dotenv.config();
 
+// Fields every record of this service carries; the host entity is the one of the trace's profile
+export function serviceFields(traceId) {
+  return {
+    service: 'dynatrace-email-reporter',
+    'dt.entity.host': profileForTrace(traceId).dynatrace.hostEntity,
+  };
+}
+
+// Local log lines get the same email hashing and URL token masking as everything sent to Dynatrace
+const redactMessage = winston.format((info) => {
+  if (typeof info.message === 'string') info.message = redactString(info.message);
+  return info;
+});
+
 const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
+    redactMessage(),
     winston.format.timestamp(),
     winston.format.printf(({ timestamp, level, message }) =>
       `[${timestamp}] ${level.toUpperCase()} - ${message}`
@@ -18,39 +36,48 @@ const logger = winston.createLogger({
   ],
 });
 
-// Sends logs to Dynatrace and logs status
-export async function logToDynatrace(level, message, traceId, spanId ) {
-  try {
-    const payload = [
-      {
-        content: message,
-        level,
-        timestamp: Date.now(),
-        trace_id: traceId,
-        span_id: spanId,  // This is critical for log-trace correlation
-        service: 'dynatrace-email-reporter',
-        'dt.entity.host':'HOST-69CF503A58882ED2'
-      },
-    ];
-
-    const res = await fetch(process.env.DYNATRACE_LOG_INGEST_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Api-Token ${process.env.DYNATRACE_API_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-
-    if (res.ok) {
-      logger.info(`[Dynatrace] ✅ Log sent successfully | traceId: ${traceId}`);
-    } else {
-      const errorText = await res.text();
-      logger.error(`[Dynatrace] ❌ Failed to ingest log | traceId: ${traceId} | ${res.status}: ${errorText}`);
-    }
-  } catch (err) {
-    logger.error(`[Dynatrace] ❌ Exception during log ingestion | traceId: ${traceId} | ${err.message}`);
+// One batched ingest client per profile's Dynatrace environment (see profiles.js), created on first use.
+// Profiles other than the default spool into a subfolder of their own.
+const ingestClients = new Map();
+function ingestClientFor(profile) {
+  if (!ingestClients.has(profile.name)) {
+    const spoolRoot = process.env.LOG_INGEST_SPOOL_DIR || './data/log-spool';
+    ingestClients.set(profile.name, createLogIngestClient({
+      logger,
+      redact: redactLogRecord,
+      url: profile.dynatrace.logIngestUrl,
+      token: profile.dynatrace.apiToken,
+      spoolDir: profile.name === DEFAULT_PROFILE ? spoolRoot : path.join(spoolRoot, profile.name),
+    }));
   }
+  return ingestClients.get(profile.name);
+}
+
+// Shared entry point for everything this service sends to Dynatrace Log Ingest:
+// each record goes to the environment of the profile its trace_id is bound to
+export const ingestClient = {
+  enqueue: (record) => ingestClientFor(profileForTrace(record.trace_id)).enqueue(record),
+  flush: () => Promise.all([...ingestClients.values()].map(c => c.flush())),
+  shutdown: () => Promise.all([...ingestClients.values()].map(c => c.shutdown())),
+  replaySpool: () => Promise.all(listProfiles().map(p => ingestClientFor(p).replaySpool())),
+};
+
+// Opt-in: forward every logger line to Dynatrace, correlated with the active span
+if (process.env.DYNATRACE_LOG_FORWARDING === 'true') {
+  logger.add(new DynatraceLogTransport({ client: ingestClient, fields: serviceFields }));
+}
+
+// Queues a log record for Dynatrace; delivery, retries and spooling happen in the ingest client
+export async function logToDynatrace(level, message, traceId, spanId, fields = {}) {
+  ingestClient.enqueue({
+    ...serviceFields(traceId),
+    ...fields,
+    content: message,
+    level,
+    timestamp: Date.now(),
+    trace_id: traceId,
+    span_id: spanId,  // This is critical for log-trace correlation
+  });
 }
 
 export default logger;
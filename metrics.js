@@ -0,0 +1,58 @@
+// metrics.js
+import { metrics } from '@opentelemetry/api';
+
+// Instruments come from the global meter provider that tracer.js registers. They're created on
+// first use, so modules loaded before it (and the CLIs, which register none) get no-op instruments.
+let instruments = null;
+function getInstruments() {
+  if (instruments) return instruments;
+  const meter = metrics.getMeter('dynatrace-email-reporter');
+  instruments = {
+    requested: meter.createCounter('reports.requested', { description: 'Reports accepted for generation, once per format' }),
+    sent: meter.createCounter('reports.sent', { description: 'Reports delivered to at least one channel, once per format' }),
+    failed: meter.createCounter('reports.failed', { description: 'Reports that failed to generate or to reach any channel, once per format' }),
+    generationDuration: meter.createHistogram('report.generation.duration', {
+      description: 'Time to render all formats of a report', unit: 'ms',
+      advice: { explicitBucketBoundaries: [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 120000] },
+    }),
+    smtpDuration: meter.createHistogram('smtp.send.duration', {
+      description: 'Time to hand one email to the SMTP server, retries included', unit: 'ms',
+      advice: { explicitBucketBoundaries: [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000] },
+    }),
+    attachmentSize: meter.createHistogram('report.attachment.size', {
+      description: 'Total attachment bytes per report, after zipping', unit: 'By',
+      advice: { explicitBucketBoundaries: [10e3, 100e3, 500e3, 1e6, 5e6, 10e6, 25e6, 50e6, 100e6] },
+    }),
+    rows: meter.createHistogram('report.rows', {
+      description: 'Data rows per report, all sheets', unit: '{row}',
+      advice: { explicitBucketBoundaries: [10, 100, 1000, 10e3, 50e3, 100e3, 500e3, 1e6] },
+    }),
+    logIngestFailures: meter.createCounter('log_ingest.failures', { description: 'Log records Dynatrace did not accept', unit: '{record}' }),
+  };
+  return instruments;
+}
+
+const reportAttributes = (client, profile) => ({ 'report.client': client || 'anonymous', 'report.profile': profile || 'default' });
+
+// stage: requested | sent | failed
+export function countReport(stage, { client, profile, formats = [] }) {
+  for (const format of formats) getInstruments()[stage].add(1, { ...reportAttributes(client, profile), 'report.format': format });
+}
+
+export function recordReportGenerated({ client, profile, formats = [], durationMs, rows, attachmentBytes }) {
+  const { generationDuration, attachmentSize, rows: rowHistogram } = getInstruments();
+  const attributes = reportAttributes(client, profile);
+  generationDuration.record(durationMs, { ...attributes, 'report.formats': [...formats].sort().join(',') });
+  rowHistogram.record(rows, attributes);
+  attachmentSize.record(attachmentBytes, attributes);
+}
+
+// outcome: success | failure
+export function recordSmtpSend(durationMs, outcome, profile) {
+  getInstruments().smtpDuration.record(durationMs, { outcome, 'report.profile': profile || 'default' });
+}
+
+// reason: dropped (rejected or unconfigured) | spooled (kept for a later retry)
+export function countLogIngestFailure(reason, records) {
+  getInstruments().logIngestFailures.add(records, { reason });
+}
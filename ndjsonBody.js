@@ -0,0 +1,119 @@
+// ndjsonBody.js
+import readline from 'readline';
+import { Readable } from 'stream';
+
+export const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines'];
+
+// "10mb" / "512kb" / "1048576" → bytes
+export function parseByteSize(value, fallback) {
+  const match = String(value ?? '').trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match) return fallback;
+  const unit = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }[(match[2] || 'b').toLowerCase()];
+  return Math.floor(parseFloat(match[1]) * unit);
+}
+
+// Log and span exports nest attributes; cells can't, so { a: { b: 1 } } becomes { 'a.b': 1 }.
+// Rows have no prototype, so a `__proto__` key is kept as a column instead of replacing the prototype.
+function flatten(value, prefix = '', out = Object.create(null)) {
+  for (const [key, v] of Object.entries(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (v && typeof v === 'object' && !Array.isArray(v)) flatten(v, name, out);
+    else out[name] = Array.isArray(v) ? JSON.stringify(v) : v;
+  }
+  return out;
+}
+
+function bodyError(type, status, message) {
+  const err = new Error(message);
+  err.type = type;
+  err.status = status;
+  return err;
+}
+
+// Raw text of a signed NDJSON body, read up to `limit` before authentication so auth.js can check
+// the HMAC over it; ndjsonBody then parses this copy. Unsigned bodies are left for after authentication.
+export function signedNdjsonBody({ limit }) {
+  return async (req, res, next) => {
+    if (!req.is(NDJSON_TYPES) || !req.headers['x-signature']) {
+      next();
+      return;
+    }
+    const parts = [];
+    let bytes = 0;
+    for await (const chunk of req) {
+      bytes += chunk.length;
+      if (bytes > limit) {
+        req.resume();
+        next(bodyError('entity.too.large', 413, `request entity too large (limit ${limit} bytes)`));
+        return;
+      }
+      parts.push(chunk);
+    }
+    req.rawBody = Buffer.concat(parts).toString('utf8');
+    req.bodyBytes = bytes;
+    next();
+  };
+}
+
+// Parses an NDJSON body line by line, so the upload is never held as one string (signed bodies
+// excepted, see above). The parsed rows do all stay in memory, which is why `limit` should stay
+// close to the JSON body limit. Mount it after authentication.
+// Every line is a row of one sheet, named by x-report-sheet (default "Report"); the body becomes
+// { sheets: { <name>: rows } } and goes through the same validation as a JSON body.
+// Errors carry express's body-parser `type`/`status`, so the problem-details handler answers them.
+export function ndjsonBody({ limit }) {
+  return async (req, res, next) => {
+    if (!req.is(NDJSON_TYPES)) {
+      next();
+      return;
+    }
+    const buffered = req.rawBody !== undefined;
+    const input = buffered ? Readable.from([req.rawBody]) : req;
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let bytes = buffered ? req.bodyBytes : 0;
+    let tooLarge = false;
+    if (!buffered) {
+      req.on('data', (chunk) => {
+        bytes += chunk.length;
+        if (tooLarge || bytes <= limit) return;
+        // Stop parsing but let the rest of the upload drain so the 413 can still be sent
+        tooLarge = true;
+        lines.close();
+      });
+    }
+
+    const rows = [];
+    let lineNumber = 0;
+    try {
+      for await (const line of lines) {
+        if (tooLarge) break;
+        lineNumber++;
+        if (!line.trim()) continue;
+        let parsed;
+        try {
+          parsed = JSON.parse(line);
+        } catch (err) {
+          throw bodyError('entity.parse.failed', 400, `Line ${lineNumber}: ${err.message}`);
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          throw bodyError('entity.parse.failed', 400, `Line ${lineNumber}: every line must be a JSON object`);
+        }
+        rows.push(flatten(parsed));
+      }
+    } catch (err) {
+      lines.close();
+      req.resume();
+      next(err.type ? err : bodyError('entity.parse.failed', 400, err.message));
+      return;
+    }
+    if (tooLarge) {
+      req.resume();
+      next(bodyError('entity.too.large', 413, `request entity too large (limit ${limit} bytes)`));
+      return;
+    }
+
+    req.body = { sheets: { [req.headers['x-report-sheet'] || 'Report']: rows } };
+    req.bodyBytes = bytes;
+    next();
+  };
+}
@@ -0,0 +1,70 @@
+// pdfGenerator.js
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+import logger, { logToDynatrace } from './logger.js';
+import { normalizeSheets } from './excelGenerator.js';
+import { columnsOf } from './htmlGenerator.js';
+
+const MARGIN = 36;
+const ROW_HEIGHT = 14;
+
+function drawRow(doc, cells, y, colWidth, bold) {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  cells.forEach((cell, i) => {
+    const text = cell !== null && typeof cell === 'object' ? JSON.stringify(cell) : String(cell ?? '');
+    doc.text(text, MARGIN + i * colWidth, y, { width: colWidth - 4, height: ROW_HEIGHT, lineBreak: false, ellipsis: true });
+  });
+}
+
+function drawSheet(doc, name, rows) {
+  const columns = columnsOf(rows);
+  const pageBottom = () => doc.page.height - MARGIN;
+  const colWidth = (doc.page.width - MARGIN * 2) / Math.max(columns.length, 1);
+
+  doc.font('Helvetica-Bold').fontSize(14).text(name, MARGIN, MARGIN);
+  let y = doc.y + 6;
+  if (columns.length === 0) {
+    doc.font('Helvetica').fontSize(9).text('No data.', MARGIN, y);
+    return;
+  }
+
+  drawRow(doc, columns, y, colWidth, true);
+  y += ROW_HEIGHT;
+  for (const row of rows) {
+    if (y + ROW_HEIGHT > pageBottom()) {
+      doc.addPage();
+      y = MARGIN;
+      drawRow(doc, columns, y, colWidth, true);
+      y += ROW_HEIGHT;
+    }
+    drawRow(doc, columns.map(c => row?.[c]), y, colWidth, false);
+    y += ROW_HEIGHT;
+  }
+}
+
+// Renders each sheet as a simple paginated table in a landscape PDF
+export async function generatePdf(data, filePath, requestId) {
+  try {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: MARGIN, autoFirstPage: false });
+    const stream = fs.createWriteStream(filePath);
+    const done = new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+    doc.pipe(stream);
+
+    for (const [name, rows] of Object.entries(normalizeSheets(data))) {
+      doc.addPage();
+      drawSheet(doc, name, Array.isArray(rows) ? rows : []);
+    }
+    if (doc.bufferedPageRange().count === 0) doc.addPage();
+
+    doc.end();
+    await done;
+  } catch (error) {
+    const msg = `❌ PDF generation failed: ${error.stack || error}`;
+    logger.error(`[${requestId}] ${msg}`);
+    await logToDynatrace('error', msg, requestId);
+    throw error;
+  }
+}
@@ -0,0 +1,27 @@
+// pendingJobStore.js
+import fs from 'fs/promises';
+import path from 'path';
+
+const STORE_FILE = process.env.PENDING_JOBS_FILE || './data/pending-jobs.json';
+
+// Report jobs still queued when the server shut down; the next start picks them up again.
+// Each entry is { id, createdAt, traceId, parent: { traceId, spanId, traceFlags }, report, headers }.
+export async function savePendingJobs(jobs) {
+  await fs.mkdir(path.dirname(STORE_FILE), { recursive: true });
+  const tmp = `${STORE_FILE}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(jobs, null, 2));
+  await fs.rename(tmp, STORE_FILE);
+}
+
+// Reads and removes the saved jobs, so a crash loop can't run them twice
+export async function takePendingJobs() {
+  let jobs;
+  try {
+    jobs = JSON.parse(await fs.readFile(STORE_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  await fs.unlink(STORE_FILE);
+  return jobs;
+}
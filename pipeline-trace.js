@@ -1,256 +1,212 @@
-import { NodeSDK } from '@opentelemetry/sdk-node';
-import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-proto';
-import { Resource } from '@opentelemetry/resources';
-import { SemanticResourceAttributes } from '@opentelemetry/semantic-conventions';
 import * as otel from '@opentelemetry/api';
 import dotenv from 'dotenv';
-import { execSync } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import logger from './logger.js';
-import fetch from 'node-fetch';
+import logger, { ingestClient } from './logger.js';
+import { createTelemetrySdk } from './telemetryConfig.js';
+import { loadPipeline, resolveJob, readTimestamp } from './pipelineConfig.js';
+import { detectCiProvider, ciSpanAttributes, ciLogFields } from './ciProvider.js';
+import { runStep } from './stepRunner.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.resolve(__dirname, '.env') });
 
-const OTLP_URL = process.env.DYNATRACE_OTLP_URL;
-const OTLP_TOKEN = process.env.DYNATRACE_API_TOKEN;
-const LOG_INGEST_URL = process.env.DYNATRACE_LOG_INGEST_URL;
 const SERVICE_NAME = 'github-ci-pipeline';
 
 function log(msg) {
   logger.info(msg);
 }
 
-async function timeAsync(label, fn) {
-  const start = Date.now();
-  const result = await fn();
-  const end = Date.now();
-  return { duration: end - start, result, start, end };
+function getArg(key) {
+  const match = process.argv.find((a) => a.startsWith(`--${key}=`));
+  return match ? match.slice(key.length + 3) : null;
 }
 
-async function sendExecutionLogsToDynatrace(logsArray, traceId) {
-  if (!LOG_INGEST_URL || !OTLP_TOKEN) {
-    logger.error('Missing Dynatrace log ingest endpoint or token');
-    return;
-  }
-  const payload = [
-    {
-      content: JSON.stringify(logsArray, null, 2),
-      level: 'INFO',
-      timestamp: Date.now(),
-      trace_id: traceId,
-      service: SERVICE_NAME,
-      'dt.execution.type': logsArray.length > 0 ? logsArray[0].jobType : '',
-      'dt.cicd.pipeline': process.env.GITHUB_WORKFLOW || '',
-      'dt.cicd.runid': process.env.GITHUB_RUN_ID || '',
-      'dt.cicd.repo': process.env.GITHUB_REPOSITORY || ''
-    }
-  ];
-
-  try {
-    const res = await fetch(LOG_INGEST_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Api-Token ${OTLP_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-    if (res.ok) {
-      logger.info(`[Dynatrace] ✅ All step logs sent for traceId: ${traceId}`);
-    } else {
-      const errText = await res.text();
-      logger.error(`[Dynatrace] ❌ Failed to send logs | traceId: ${traceId} | ${res.status}: ${errText}`);
+// One log record per captured output line, correlated to the step's span
+function sendStepOutputToDynatrace(step, result, span, ci) {
+  const { traceId, spanId } = span.spanContext();
+  for (const [stream, output] of Object.entries(result.output)) {
+    for (const line of output.lines) {
+      ingestClient.enqueue({
+        content: line.text,
+        level: stream === 'stderr' ? 'WARN' : 'INFO',
+        timestamp: line.time,
+        trace_id: traceId,
+        span_id: spanId,
+        service: SERVICE_NAME,
+        'log.iostream': stream,
+        'ci.step': step.name,
+        ...ciLogFields(ci)
+      });
     }
-  } catch (err) {
-    logger.error(`[Dynatrace] ❌ Exception during log ingestion | traceId: ${traceId} | ${err.message}`);
   }
 }
 
-async function main() {
-  const job = process.argv[2] || 'Build';
-
-  // Prepare deploy timing (if Deploy job)
-  let deployStart = null, deployEnd = null;
-  if (job === 'Deploy') {
-    deployStart = process.env.DEPLOY_START ? parseInt(process.env.DEPLOY_START, 10) * 1000 : null;
-    deployEnd = process.env.DEPLOY_END ? parseInt(process.env.DEPLOY_END, 10) * 1000 : null;
-  }
-
-  // Setup OpenTelemetry Trace Exporter
-  const exporter = new OTLPTraceExporter({
-    url: OTLP_URL,
-    headers: { Authorization: `Api-Token ${OTLP_TOKEN}` }
+async function sendExecutionLogsToDynatrace(logsArray, traceId, ci) {
+  ingestClient.enqueue({
+    content: JSON.stringify(logsArray, null, 2),
+    level: logsArray.some(l => l.status === 'ERROR' && !l.continueOnError) ? 'ERROR' : 'INFO',
+    timestamp: Date.now(),
+    trace_id: traceId,
+    service: SERVICE_NAME,
+    'dt.execution.type': logsArray.length > 0 ? logsArray[0].jobType : '',
+    ...ciLogFields(ci)
   });
+  // Short-lived process: push the batch out before exiting
+  await ingestClient.flush();
+}
 
-  const sdk = new NodeSDK({
-    traceExporter: exporter,
-    resource: new Resource({
-      [SemanticResourceAttributes.SERVICE_NAME]: SERVICE_NAME,
-    }),
-  });
+async function main() {
+  const jobName = process.argv.slice(2).find(a => !a.startsWith('--')) || 'Build';
+  const pipelineFile = path.resolve(getArg('file') || process.env.PIPELINE_FILE || path.join(__dirname, 'pipelines.yml'));
+  const job = resolveJob(loadPipeline(pipelineFile), jobName);
+  const ci = detectCiProvider();
+
+  // Setup OpenTelemetry (exporter, protocol and sampling come from telemetryConfig.js)
+  const sdk = createTelemetrySdk({ serviceName: SERVICE_NAME });
 
   await sdk.start();
   const tracer = otel.trace.getTracer('pipeline-tracer');
 
-  // For Deploy, set root span to deployStart; for Build, use script time
-  const rootSpan = (job === 'Deploy' && deployStart)
-    ? tracer.startSpan(job, { kind: otel.SpanKind.SERVER, startTime: deployStart })
-    : tracer.startSpan(job, { kind: otel.SpanKind.SERVER });
+  // Job-level timing stretches the root span back to work that happened before this script ran
+  const jobStart = job.timing ? readTimestamp(job.timing.start) : null;
+  const rootSpan = tracer.startSpan(job.name, {
+    kind: otel.SpanKind.SERVER,
+    ...(jobStart && jobStart < Date.now() ? { startTime: jobStart } : {}),
+  });
 
   const ctx = otel.trace.setSpan(otel.context.active(), rootSpan);
 
-  // Add GitHub metadata to root span
-  rootSpan.setAttribute('github.repository', process.env.GITHUB_REPOSITORY || '');
-  rootSpan.setAttribute('github.sha', process.env.GITHUB_SHA || '');
-  rootSpan.setAttribute('github.run_id', process.env.GITHUB_RUN_ID || '');
-  rootSpan.setAttribute('github.workflow', process.env.GITHUB_WORKFLOW || '');
-  rootSpan.setAttribute('ci.job', job);
+  // Add CI/VCS metadata (plus the github.* aliases on GitHub Actions) to root span
+  rootSpan.setAttributes(ciSpanAttributes(ci));
+  rootSpan.setAttribute('ci.job', job.name);
+  rootSpan.setAttribute('ci.pipeline.file', path.relative(__dirname, pipelineFile) || pipelineFile);
 
   // This will store each step's result
   const executionLogs = [];
-  const logExecutionStep = (info) => executionLogs.push(info);
+  const logExecutionStep = (step, info) => executionLogs.push({
+    jobType: job.name,
+    step: step.name,
+    continueOnError: step.continueOnError,
+    ...info,
+    trace_id: rootSpan.spanContext().traceId,
+    ci,
+    ...(ci.provider === 'github' ? {
+      github: { workflow: ci.pipeline, run_id: ci.runId, sha: ci.revision, repository: ci.repository },
+    } : {}),
+    azure: { webapp: process.env.AZURE_WEBAPP_NAME }
+  });
 
-  let steps = [];
-  if (job === 'Build') {
-    steps = [
-      {
-        name: 'Install Dependencies',
-        run: async () => execSync('npm install', { stdio: 'inherit' }),
-      },
-      {
-        name: 'Build App',
-        run: async () => {
-          try { execSync('npm run build --if-present', { stdio: 'inherit' }); } catch (e) {}
-        },
-      },
-      {
-        name: 'Test App',
-        run: async () => {
-          try { execSync('npm run test --if-present', { stdio: 'inherit' }); } catch (e) {}
-        },
-      },
-      {
-        name: 'Zip Artifact',
-        run: async () => execSync('zip release.zip . -r -x "node_modules/*" -x ".git/*"', { stdio: 'inherit' }),
-      }
-    ];
-  } else if (job === 'Deploy') {
-    steps = [
-      {
-        name: 'Azure Web App Deploy (timed)',
-        run: async () => {
-          // This step's duration comes from env vars, not from actual run time
-        }
-      },
-      {
-        name: 'Health Check',
-        run: async () => {
-          // execSync('curl -f https://your-app.azurewebsites.net/health', { stdio: 'inherit' });
-        },
-      },
-      {
-        name: 'Smoke Test',
-        run: async () => {
-          // execSync('curl -f https://your-app.azurewebsites.net/', { stdio: 'inherit' });
-        },
-      }
-    ];
-  } else {
-    throw new Error('Unknown job type: ' + job);
-  }
+  // Like a CI runner: the first failing step without continue-on-error fails the job and skips the rest
+  let failedStep = null;
+  for (const step of job.steps) {
+    if (failedStep) {
+      log(`⏭️ Skipping ${step.name} (${failedStep.name} failed)`);
+      logExecutionStep(step, { status: 'SKIPPED', error: `Skipped after ${failedStep.name} failed` });
+      continue;
+    }
 
-  for (const step of steps) {
     await otel.context.with(ctx, async () => {
-      let span;
-      let duration = 0, start = Date.now(), end, errorMsg = '', status = 'SUCCESS';
-      try {
-        if (job === 'Deploy' && step.name === 'Azure Web App Deploy (timed)') {
-          // For deploy step, use the pre-recorded start/end for real deployment duration
-          if (deployStart && deployEnd && deployEnd > deployStart) {
-            start = deployStart; end = deployEnd; duration = end - start;
-            span = tracer.startSpan(step.name, {
-              parent: rootSpan,
-              kind: otel.SpanKind.INTERNAL,
-              startTime: start
-            });
-            span.setAttribute('ci.deploy.duration_ms', duration);
-            span.setStatus({ code: otel.SpanStatusCode.OK });
-            span.end(end);
-            logExecutionStep({
-              jobType: job,
-              step: step.name,
-              start,
-              end,
-              duration,
-              status,
-              error: '',
-              trace_id: rootSpan.spanContext().traceId,
-              span_id: span.spanContext().spanId,
-              github: {
-                workflow: process.env.GITHUB_WORKFLOW,
-                run_id: process.env.GITHUB_RUN_ID,
-                sha: process.env.GITHUB_SHA,
-                repository: process.env.GITHUB_REPOSITORY,
-              },
-              azure: { webapp: process.env.AZURE_WEBAPP_NAME }
-            });
-            return; // skip the rest of this step
-          } else {
-            // fallback (no deploy timer info)
-            span = tracer.startSpan(step.name, { parent: rootSpan, kind: otel.SpanKind.INTERNAL });
-          }
+      // Externally timed step: the span covers the recorded window, nothing is run
+      if (step.timing) {
+        const start = readTimestamp(step.timing.start);
+        const end = readTimestamp(step.timing.end);
+        const span = tracer.startSpan(step.name, { kind: otel.SpanKind.INTERNAL, ...(start ? { startTime: start } : {}) });
+        let status = 'SUCCESS', errorMsg = '';
+        if (start && end && end >= start) {
+          span.setAttribute('ci.step.duration_ms', end - start);
+          // Deprecated name from before the pipeline file; kept until dashboards move to ci.step.duration_ms
+          span.setAttribute('ci.deploy.duration_ms', end - start);
+          span.setStatus({ code: otel.SpanStatusCode.OK });
         } else {
-          span = tracer.startSpan(step.name, { parent: rootSpan, kind: otel.SpanKind.INTERNAL });
+          // Missing timestamps mean the timed work never reported finishing
+          status = 'ERROR';
+          errorMsg = `No valid ${step.timing.start}/${step.timing.end} timestamps`;
+          span.setStatus({ code: otel.SpanStatusCode.ERROR, message: errorMsg });
+          log(`❌ Step failed: ${step.name}: ${errorMsg}`);
         }
-        const { duration: stepDuration, start: realStart, end: realEnd } = await timeAsync(step.name, async () => await step.run());
-        duration = stepDuration;
-        start = realStart;
-        end = realEnd;
+        span.setAttribute('ci.step.timed_externally', true);
+        span.setAttribute('ci.step.continue_on_error', step.continueOnError);
+        span.end(start && end && end >= start ? end : undefined);
+        logExecutionStep(step, { start, end, duration: start && end ? end - start : 0, status, error: errorMsg, span_id: span.spanContext().spanId });
+        if (status === 'ERROR' && !step.continueOnError) failedStep = step;
+        return;
+      }
+
+      const span = tracer.startSpan(step.name, { kind: otel.SpanKind.INTERNAL });
+      span.setAttribute('ci.step.command', step.run);
+      span.setAttribute('ci.step.continue_on_error', step.continueOnError);
+      if (step.timeoutMs) span.setAttribute('ci.step.timeout_ms', step.timeoutMs);
+      const start = Date.now();
+      log(`▶️ ${step.name}: ${step.run}`);
+      const result = await runStep(step);
+      const end = Date.now();
+      const status = result.error ? 'ERROR' : 'SUCCESS';
+      if (result.error) {
+        span.setStatus({ code: otel.SpanStatusCode.ERROR, message: result.error });
+        log(`❌ Step failed: ${step.name}: ${result.error}${step.continueOnError ? ' (continue-on-error)' : ''}`);
+        if (!step.continueOnError) failedStep = step;
+      } else {
         span.setStatus({ code: otel.SpanStatusCode.OK });
-      } catch (err) {
-        status = 'ERROR';
-        errorMsg = err.message;
-        span && span.setStatus({ code: otel.SpanStatusCode.ERROR, message: errorMsg });
-        log(`❌ Step failed: ${step.name}: ${errorMsg}`);
       }
-      span && span.setAttribute('ci.step.duration_ms', duration);
-      span && span.end();
-      logExecutionStep({
-        jobType: job,
-        step: step.name,
+
+      if (result.exitCode !== null) span.setAttribute('ci.step.exit_code', result.exitCode);
+      if (result.signal) span.setAttribute('ci.step.signal', result.signal);
+      if (result.timedOut) span.setAttribute('ci.step.timed_out', true);
+      if (result.cpuTimeMs !== null) span.setAttribute('ci.step.cpu_time_ms', result.cpuTimeMs);
+      if (result.peakMemoryBytes !== null) span.setAttribute('ci.step.memory.peak_bytes', result.peakMemoryBytes);
+      span.setAttribute('ci.step.duration_ms', end - start);
+      // The output tail rides along as one event per stream; the full output stays in the CI log
+      for (const [stream, output] of Object.entries(result.output)) {
+        span.setAttribute(`ci.step.${stream}.bytes`, output.bytes);
+        if (output.lines.length === 0) continue;
+        span.addEvent('step.output', {
+          'log.iostream': stream,
+          'output.tail': output.lines.map(l => l.text).join('\n'),
+          'output.lines': output.totalLines,
+          'output.truncated': output.truncated,
+        }, end);
+      }
+      span.end(end);
+      sendStepOutputToDynatrace(step, result, span, ci);
+      logExecutionStep(step, {
         start,
         end,
-        duration,
+        duration: end - start,
         status,
-        error: errorMsg,
-        trace_id: rootSpan.spanContext().traceId,
-        span_id: span ? span.spanContext().spanId : undefined,
-        github: {
-          workflow: process.env.GITHUB_WORKFLOW,
-          run_id: process.env.GITHUB_RUN_ID,
-          sha: process.env.GITHUB_SHA,
-          repository: process.env.GITHUB_REPOSITORY,
-        },
-        azure: { webapp: process.env.AZURE_WEBAPP_NAME }
+        error: result.error || '',
+        exitCode: result.exitCode,
+        signal: result.signal,
+        cpuTimeMs: result.cpuTimeMs,
+        peakMemoryBytes: result.peakMemoryBytes,
+        stdoutBytes: result.output.stdout.bytes,
+        stderrBytes: result.output.stderr.bytes,
+        outputTruncated: result.output.stdout.truncated || result.output.stderr.truncated,
+        span_id: span.spanContext().spanId
       });
     });
   }
 
-  // End root span for Deploy at deployEnd, else now
-  if (job === 'Deploy' && deployEnd) {
-    rootSpan.end(deployEnd);
-  } else {
-    rootSpan.end();
-  }
+  // The root span reports the job's real outcome; failures tolerated by continue-on-error don't count
+  const jobEnd = job.timing ? readTimestamp(job.timing.end) : null;
+  rootSpan.setAttribute('ci.job.status', failedStep ? 'failure' : 'success');
+  rootSpan.setStatus(failedStep
+    ? { code: otel.SpanStatusCode.ERROR, message: `Step failed: ${failedStep.name}` }
+    : { code: otel.SpanStatusCode.OK });
+  rootSpan.end(Math.max(jobEnd || 0, Date.now()));
 
   // At the end, send ALL step logs as a single JSON array to Dynatrace Log Ingest
-  await sendExecutionLogsToDynatrace(executionLogs, rootSpan.spanContext().traceId);
+  await sendExecutionLogsToDynatrace(executionLogs, rootSpan.spanContext().traceId, ci);
 
-  await sdk.shutdown();
-  log(`✅ ${job} trace and logs completed`);
+  // An unreachable exporter shouldn't turn a green job red (or hide a red one)
+  try {
+    await sdk.shutdown();
+  } catch (err) {
+    logger.error(`❌ Trace export failed: ${err.message}`);
+  }
+  log(`${failedStep ? '❌' : '✅'} ${job.name} trace and logs completed${failedStep ? ` (failed at ${failedStep.name})` : ''}`);
   log(`🔗 Dynatrace Trace ID: ${rootSpan.spanContext().traceId}`);
+  if (failedStep) process.exitCode = 1;
 }
 
 main().catch((err) => {
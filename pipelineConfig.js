@@ -0,0 +1,90 @@
+// pipelineConfig.js
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+const STEP_KEYS = ['name', 'run', 'cwd', 'env', 'timeout', 'output', 'continue-on-error', 'timing'];
+const JOB_KEYS = ['cwd', 'env', 'timeout', 'output', 'timing', 'steps'];
+
+function assert(condition, message) {
+  if (!condition) throw new Error(`Invalid pipeline file: ${message}`);
+}
+
+function checkCommon(where, value) {
+  if (value.cwd !== undefined) assert(typeof value.cwd === 'string', `${where}.cwd must be a path`);
+  if (value.env !== undefined) {
+    assert(value.env && typeof value.env === 'object' && !Array.isArray(value.env), `${where}.env must be a map`);
+    for (const [key, v] of Object.entries(value.env)) {
+      assert(['string', 'number', 'boolean'].includes(typeof v), `${where}.env.${key} must be a scalar`);
+    }
+  }
+  if (value.timeout !== undefined) assert(typeof value.timeout === 'number' && value.timeout > 0, `${where}.timeout must be a positive number of seconds`);
+  if (value.output !== undefined) {
+    const { output } = value;
+    assert(output && typeof output === 'object' && !Array.isArray(output), `${where}.output must be { lines?, bytes? }`);
+    for (const key of Object.keys(output)) {
+      assert(['lines', 'bytes'].includes(key) && Number.isInteger(output[key]) && output[key] > 0, `${where}.output.${key} must be lines or bytes, as a positive integer`);
+    }
+  }
+  if (value.timing !== undefined) {
+    const { timing } = value;
+    assert(timing && typeof timing.start === 'string' && typeof timing.end === 'string', `${where}.timing needs start and end env var names`);
+  }
+}
+
+function checkJob(name, job) {
+  const where = `jobs.${name}`;
+  assert(job && typeof job === 'object' && !Array.isArray(job), `${where} must be an object`);
+  for (const key of Object.keys(job)) assert(JOB_KEYS.includes(key), `${where}.${key} is not a known field`);
+  checkCommon(where, job);
+  assert(Array.isArray(job.steps) && job.steps.length > 0, `${where}.steps must be a non-empty list`);
+  job.steps.forEach((step, i) => {
+    const stepWhere = `${where}.steps[${i}]`;
+    assert(step && typeof step === 'object' && !Array.isArray(step), `${stepWhere} must be an object`);
+    for (const key of Object.keys(step)) assert(STEP_KEYS.includes(key), `${stepWhere}.${key} is not a known field`);
+    assert(typeof step.name === 'string' && step.name, `${stepWhere}.name is required`);
+    assert(step.run === undefined || typeof step.run === 'string', `${stepWhere}.run must be a shell command`);
+    assert(step.run !== undefined || step.timing !== undefined, `${stepWhere} needs run or timing`);
+    if (step['continue-on-error'] !== undefined) assert(typeof step['continue-on-error'] === 'boolean', `${stepWhere}.continue-on-error must be true or false`);
+    checkCommon(stepWhere, step);
+  });
+}
+
+// Reads a .json, .yml or .yaml pipeline definition:
+// { jobs: { <name>: { cwd?, env?, timeout?, output?, timing?, steps: [{ name, run?, cwd?, env?, timeout?, output?, continue-on-error?, timing? }] } } }
+// `timing: { start, end }` names env vars holding epoch seconds (or ms) for work timed outside this process.
+export function loadPipeline(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const pipeline = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  assert(pipeline && typeof pipeline.jobs === 'object' && !Array.isArray(pipeline.jobs), '`jobs` must be a map of job name to job');
+  for (const [name, job] of Object.entries(pipeline.jobs)) checkJob(name, job);
+  return { file, baseDir: path.dirname(path.resolve(file)), jobs: pipeline.jobs };
+}
+
+// Resolves one job's steps against the job defaults; cwd is relative to the pipeline file
+export function resolveJob(pipeline, name) {
+  const job = pipeline.jobs[name];
+  if (!job) throw new Error(`Unknown job "${name}" in ${pipeline.file} (available: ${Object.keys(pipeline.jobs).join(', ')})`);
+  const jobCwd = path.resolve(pipeline.baseDir, job.cwd || '.');
+  return {
+    name,
+    timing: job.timing,
+    steps: job.steps.map((step) => ({
+      name: step.name,
+      run: step.run,
+      cwd: step.cwd ? path.resolve(jobCwd, step.cwd) : jobCwd,
+      env: Object.fromEntries(Object.entries({ ...job.env, ...step.env }).map(([k, v]) => [k, String(v)])),
+      timeoutMs: (step.timeout ?? job.timeout) ? (step.timeout ?? job.timeout) * 1000 : 0,
+      output: { ...job.output, ...step.output },
+      continueOnError: step['continue-on-error'] === true,
+      timing: step.timing,
+    })),
+  };
+}
+
+// Epoch seconds or milliseconds from an env var, as ms; null when unset or not a number
+export function readTimestamp(envName, env = process.env) {
+  const value = Number(env[envName]);
+  if (!env[envName] || !Number.isFinite(value) || value <= 0) return null;
+  return value < 1e12 ? value * 1000 : value;
+}
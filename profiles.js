@@ -0,0 +1,200 @@
+// profiles.js
+import fs from 'fs';
+
+const PROFILES_FILE = process.env.PROFILES_FILE || './config/profiles.json';
+export const DEFAULT_PROFILE = 'default';
+// How long a trace stays bound to its profile: long enough for queued jobs and batched exports
+const TRACE_TTL_MS = parseInt(process.env.PROFILE_TRACE_TTL_MS || String(6 * 60 * 60 * 1000), 10);
+
+const secret = (section, field) => section[field] || (section[`${field}Env`] && process.env[section[`${field}Env`]]) || null;
+
+// The `default` profile is the service's own environment variables
+function defaultProfile() {
+  return {
+    name: DEFAULT_PROFILE,
+    dynatrace: {
+      hostEntity: process.env.DYNATRACE_HOST_ENTITY || 'HOST-69CF503A58882ED2',
+      logIngestUrl: process.env.DYNATRACE_LOG_INGEST_URL,
+      otlpUrl: process.env.DYNATRACE_OTLP_URL,
+      apiToken: process.env.DYNATRACE_API_TOKEN,
+      queryUrl: process.env.DYNATRACE_QUERY_URL,
+      queryToken: process.env.DYNATRACE_QUERY_TOKEN || process.env.DYNATRACE_API_TOKEN,
+    },
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT),
+      secure: process.env.SMTP_SECURE === 'true',
+      requireTls: process.env.SMTP_REQUIRE_TLS === 'true',
+      rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+      minTlsVersion: process.env.SMTP_TLS_MIN_VERSION,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+    sender: { address: process.env.EMAIL_FROM, name: 'Observability Platform' },
+    branding: {},
+  };
+}
+
+function dynatraceSection(section) {
+  const apiToken = secret(section, 'apiToken');
+  return { ...section, apiToken, queryToken: secret(section, 'queryToken') || apiToken };
+}
+
+// profiles.json: { "profiles": [{ "name",
+//   "dynatrace": { "hostEntity", "logIngestUrl", "otlpUrl", "otlpMetricsUrl" (defaults to otlpUrl's …/v1/metrics),
+//                  "apiToken" | "apiTokenEnv", "queryUrl", "queryToken" | "queryTokenEnv" (defaults to the apiToken) },
+//   "smtp": { "host", "port", "secure", "requireTls", "rejectUnauthorized", "minTlsVersion", "user", "pass" | "passEnv" },
+//   "sender": { "address", "name" },
+//   "branding": { "template", "greeting", "reportName", "variables": {...} } }] }
+// A section left out is taken from the default profile. `dynatrace` and `smtp` are never merged
+// with the default, so one tenant's token can't end up next to another tenant's endpoint.
+function loadProfiles() {
+  const base = defaultProfile();
+  let raw;
+  try {
+    raw = fs.readFileSync(PROFILES_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return new Map([[DEFAULT_PROFILE, base]]);
+    throw err;
+  }
+  const profiles = new Map([[DEFAULT_PROFILE, base]]);
+  for (const p of JSON.parse(raw).profiles || []) {
+    if (!/^[\w-]+$/.test(p.name || '')) throw new Error(`Invalid profile name in ${PROFILES_FILE}: "${p.name}"`);
+    profiles.set(p.name, {
+      name: p.name,
+      dynatrace: p.dynatrace ? dynatraceSection(p.dynatrace) : base.dynatrace,
+      smtp: p.smtp ? { rejectUnauthorized: true, ...p.smtp, pass: secret(p.smtp, 'pass') } : base.smtp,
+      sender: p.sender ? { ...base.sender, ...p.sender } : base.sender,
+      branding: p.branding || base.branding,
+    });
+  }
+  return profiles;
+}
+
+// Read on first use: the CLIs load their .env after this module is imported
+let profiles = null;
+
+export function getProfile(name = DEFAULT_PROFILE) {
+  profiles ??= loadProfiles();
+  return profiles.get(name) || null;
+}
+
+export function listProfiles() {
+  profiles ??= loadProfiles();
+  return [...profiles.values()];
+}
+
+// traceId → { name, at }: logs and spans are routed by the trace they belong to
+const traceProfiles = new Map();
+
+export function bindTraceToProfile(traceId, name) {
+  if (!traceId || !name || name === DEFAULT_PROFILE) return;
+  const cutoff = Date.now() - TRACE_TTL_MS;
+  for (const [id, entry] of traceProfiles) {
+    if (entry.at >= cutoff) break;
+    traceProfiles.delete(id);
+  }
+  traceProfiles.delete(traceId);
+  traceProfiles.set(traceId, { name, at: Date.now() });
+}
+
+// The profile a trace was bound to, or the default profile
+export function profileForTrace(traceId) {
+  const name = traceId && traceProfiles.get(traceId)?.name;
+  return (name && getProfile(name)) || getProfile(DEFAULT_PROFILE);
+}
+
+// Span exporter that sends every span to the Dynatrace environment of its trace's profile.
+// `createExporter(profile)` builds the exporter for a profile on first use; the default
+// profile (and any trace no profile claimed) uses `defaultExporter`.
+export function routeSpansByProfile(defaultExporter, createExporter) {
+  const exporters = new Map([[DEFAULT_PROFILE, defaultExporter]]);
+  const exporterFor = (profile) => {
+    if (!exporters.has(profile.name)) exporters.set(profile.name, createExporter(profile));
+    return exporters.get(profile.name);
+  };
+
+  return {
+    export(spans, resultCallback) {
+      const groups = new Map();
+      for (const span of spans) {
+        const profile = profileForTrace(span.spanContext().traceId);
+        if (!groups.has(profile)) groups.set(profile, []);
+        groups.get(profile).push(span);
+      }
+      let pending = groups.size;
+      let failure = null;
+      if (pending === 0) {
+        resultCallback({ code: 0 });
+        return;
+      }
+      for (const [profile, group] of groups) {
+        exporterFor(profile).export(group, (result) => {
+          if (result.code !== 0) failure = result;
+          if (--pending === 0) resultCallback(failure || { code: 0 });
+        });
+      }
+    },
+    shutdown: () => Promise.all([...exporters.values()].map(e => e.shutdown())).then(() => {}),
+    forceFlush: () => Promise.all([...exporters.values()].map(e => e.forceFlush?.())).then(() => {}),
+  };
+}
+
+// Metric exporter that sends the data points of each profile (their `report.profile` attribute, see
+// metrics.js) to that profile's Dynatrace environment. Points without one, such as log-ingest
+// failures, stay with `defaultExporter`.
+export function routeMetricsByProfile(defaultExporter, createExporter) {
+  const exporters = new Map([[DEFAULT_PROFILE, defaultExporter]]);
+  const exporterFor = (name) => {
+    const profile = getProfile(name) || getProfile(DEFAULT_PROFILE);
+    if (!exporters.has(profile.name)) exporters.set(profile.name, createExporter(profile));
+    return exporters.get(profile.name);
+  };
+
+  // One copy of `resourceMetrics` per profile, holding only that profile's data points
+  const splitByProfile = (resourceMetrics) => {
+    const groups = new Map();
+    resourceMetrics.scopeMetrics.forEach((scopeMetrics, s) => {
+      scopeMetrics.metrics.forEach((metric, m) => {
+        for (const point of metric.dataPoints) {
+          const name = point.attributes['report.profile'] || DEFAULT_PROFILE;
+          if (!groups.has(name)) groups.set(name, new Map());
+          const metricsOf = groups.get(name);
+          const key = `${s}/${m}`;
+          if (!metricsOf.has(key)) metricsOf.set(key, { scope: scopeMetrics.scope, metric: { ...metric, dataPoints: [] } });
+          metricsOf.get(key).metric.dataPoints.push(point);
+        }
+      });
+    });
+    return [...groups].map(([name, metricsOf]) => {
+      const scopes = new Map();
+      for (const { scope, metric } of metricsOf.values()) {
+        if (!scopes.has(scope)) scopes.set(scope, { scope, metrics: [] });
+        scopes.get(scope).metrics.push(metric);
+      }
+      return [name, { resource: resourceMetrics.resource, scopeMetrics: [...scopes.values()] }];
+    });
+  };
+
+  return {
+    export(resourceMetrics, resultCallback) {
+      const groups = splitByProfile(resourceMetrics);
+      let pending = groups.length;
+      let failure = null;
+      if (pending === 0) {
+        resultCallback({ code: 0 });
+        return;
+      }
+      for (const [name, group] of groups) {
+        exporterFor(name).export(group, (result) => {
+          if (result.code !== 0) failure = result;
+          if (--pending === 0) resultCallback(failure || { code: 0 });
+        });
+      }
+    },
+    selectAggregationTemporality: defaultExporter.selectAggregationTemporality?.bind(defaultExporter),
+    selectAggregation: defaultExporter.selectAggregation?.bind(defaultExporter),
+    shutdown: () => Promise.all([...exporters.values()].map(e => e.shutdown())).then(() => {}),
+    forceFlush: () => Promise.all([...exporters.values()].map(e => e.forceFlush())).then(() => {}),
+  };
+}
@@ -0,0 +1,172 @@
+// redaction.js
+import crypto from 'crypto';
+
+const list = (value) => String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+const DEFAULT_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-signature'];
+// Keys match case-insensitively. Chat webhook URLs carry their secret in the path, and channel
+// `headers` are usually credentials, so both are masked whole.
+const DEFAULT_PAYLOAD_PATHS = [
+  '$..password', '$..secret', '$..token', '$..apiKey', '$..authorization',
+  '$..webhookUrl', '$..headers', '$.channels[*].url',
+];
+const DEFAULT_QUERY_PARAMS = ['sig', 'token', 'api_key', 'apikey'];
+
+// Everything comes from env so the policy can be tightened per deployment without a release.
+// REDACT_HEADERS / REDACT_PAYLOAD_PATHS / REDACT_QUERY_PARAMS extend the defaults above.
+export const redactionPolicy = {
+  headers: new Set([...DEFAULT_HEADERS, ...list(process.env.REDACT_HEADERS)].map(h => h.toLowerCase())),
+  payloadPaths: [...DEFAULT_PAYLOAD_PATHS, ...list(process.env.REDACT_PAYLOAD_PATHS)],
+  queryParams: new Set([...DEFAULT_QUERY_PARAMS, ...list(process.env.REDACT_QUERY_PARAMS)].map(p => p.toLowerCase())),
+  hashEmails: process.env.REDACT_HASH_EMAILS !== 'false',
+  hashSalt: process.env.REDACT_HASH_SALT || '',
+  maxPayloadBytes: parseInt(process.env.REDACT_MAX_PAYLOAD_BYTES || '8192', 10),
+  maxAttributeLength: parseInt(process.env.REDACT_MAX_ATTRIBUTE_LENGTH || '4096', 10),
+};
+
+export const REDACTED = '[REDACTED]';
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// Same address → same hash, so recipients can still be correlated across logs without being readable
+export function hashEmail(address) {
+  const digest = crypto.createHash('sha256').update(redactionPolicy.hashSalt + address.toLowerCase()).digest('hex');
+  return `email:${digest.slice(0, 16)}`;
+}
+
+// Masks signed-link signatures and tokens in URLs (http.url, url.full, link text in log lines)
+function redactQueryParams(text) {
+  return text.replace(/([?&])([^=&#\s]+)=([^&#\s]*)/g, (match, sep, name) =>
+    (redactionPolicy.queryParams.has(name.toLowerCase()) ? `${sep}${name}=${REDACTED}` : match));
+}
+
+export function redactString(text) {
+  let result = redactQueryParams(text);
+  if (redactionPolicy.hashEmails) result = result.replace(EMAIL_PATTERN, hashEmail);
+  return result;
+}
+
+// Walks any JSON value and redacts every string in it
+export function redactValue(value) {
+  if (typeof value === 'string') return redactString(value);
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v)]));
+  }
+  return value;
+}
+
+export function redactHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+    [name, redactionPolicy.headers.has(name.toLowerCase()) ? REDACTED : redactValue(value)]));
+}
+
+// Supports the JSONPath subset people actually write for masking:
+// $.a.b, $.a[0], $.a[*].b, $.a.*, $..b (any depth) and $['key with spaces']
+function parsePath(expression) {
+  const tokens = [];
+  const re = /\.\.([^.[\]]+)|\.([^.[\]]+)|\[(\d+|\*)\]|\['([^']+)'\]/g;
+  const body = expression.replace(/^\$/, '');
+  let match;
+  while ((match = re.exec(body))) {
+    if (match[1]) tokens.push({ deep: true, key: match[1].toLowerCase() });
+    else tokens.push({ key: (match[2] ?? match[3] ?? match[4]).toLowerCase() });
+  }
+  return tokens;
+}
+
+function maskPath(node, tokens) {
+  if (tokens.length === 0 || !node || typeof node !== 'object') return;
+  const [{ deep, key }, ...rest] = tokens;
+  const keys = key === '*' ? Object.keys(node) : Object.keys(node).filter(k => k.toLowerCase() === key);
+  for (const k of keys) {
+    if (rest.length === 0) node[k] = REDACTED;
+    else maskPath(node[k], rest);
+  }
+  if (deep) {
+    for (const child of Object.values(node)) maskPath(child, tokens);
+  }
+}
+
+const compiledPaths = redactionPolicy.payloadPaths.map(parsePath);
+
+// Copies no more of `value` than fits in roughly `budget.left` bytes of JSON, so a body of
+// thousands of rows costs as much to redact as the few that end up in the log record
+function preview(value, budget) {
+  if (value === null || typeof value !== 'object') {
+    budget.left -= typeof value === 'string' ? value.length + 2 : String(value).length;
+    return value;
+  }
+  if (typeof value.toJSON === 'function') return preview(value.toJSON(), budget);
+  if (Array.isArray(value)) {
+    const items = [];
+    for (const item of value) {
+      if (budget.left <= 0) {
+        items.push(`…[${value.length - items.length} more items]`);
+        break;
+      }
+      items.push(preview(item, budget));
+    }
+    return items;
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (budget.left <= 0) break;
+    budget.left -= key.length + 4;
+    copy[key] = preview(item, budget);
+  }
+  return copy;
+}
+
+// Masks the configured paths, hashes emails and caps the serialized size of a request payload
+export function redactPayload(payload) {
+  if (payload === undefined || payload === null) return payload;
+  const copy = redactValue(preview(payload, { left: redactionPolicy.maxPayloadBytes }));
+  for (const tokens of compiledPaths) maskPath(copy, tokens);
+  const json = JSON.stringify(copy);
+  const bytes = Buffer.byteLength(json);
+  if (bytes <= redactionPolicy.maxPayloadBytes) return copy;
+  return `${Buffer.from(json).subarray(0, redactionPolicy.maxPayloadBytes).toString('utf8')}…[truncated ${bytes} bytes]`;
+}
+
+// Applied to every record before it is queued for Dynatrace log ingest
+export function redactLogRecord(record) {
+  const { request_headers: headers, request_payload: payload, ...rest } = record;
+  return {
+    ...redactValue(rest),
+    ...(headers !== undefined && { request_headers: redactHeaders(headers) }),
+    ...(payload !== undefined && { request_payload: redactPayload(payload) }),
+  };
+}
+
+function redactAttributes(attributes = {}) {
+  for (const [key, value] of Object.entries(attributes)) {
+    const header = key.match(/^http\.(?:request|response)\.header\.(.+)$/);
+    if (header && redactionPolicy.headers.has(header[1].replace(/_/g, '-').toLowerCase())) {
+      attributes[key] = REDACTED;
+    } else if (typeof value === 'string') {
+      const redacted = redactString(value);
+      attributes[key] = redacted.length > redactionPolicy.maxAttributeLength
+        ? `${redacted.slice(0, redactionPolicy.maxAttributeLength)}…[truncated]`
+        : redacted;
+    } else if (Array.isArray(value)) {
+      attributes[key] = value.map(v => (typeof v === 'string' ? redactString(v) : v));
+    }
+  }
+}
+
+// Wraps a span exporter so attributes, event attributes and status messages are redacted
+// on their way out, whichever instrumentation or code path set them
+export function withRedaction(exporter) {
+  return {
+    export(spans, resultCallback) {
+      for (const span of spans) {
+        redactAttributes(span.attributes);
+        for (const event of span.events || []) redactAttributes(event.attributes);
+        if (span.status?.message) span.status.message = redactString(span.status.message);
+      }
+      exporter.export(spans, resultCallback);
+    },
+    shutdown: () => exporter.shutdown(),
+    forceFlush: () => exporter.forceFlush?.(),
+  };
+}
@@ -0,0 +1,360 @@
+// reportPipeline.js
+import path from 'path';
+import { trace } from '@opentelemetry/api';
+import logger, { ingestClient, serviceFields } from './logger.js';
+import { parseFormats, unsupportedFormats, renderReport } from './reportRenderers.js';
+import { parseChannels, validateChannels, deliverReport } from './deliveryChannels.js';
+import { templateExists, loadTemplateLayout, DEFAULT_TEMPLATE } from './emailTemplates.js';
+import { validateLayout } from './excelGenerator.js';
+import { validateSummary, summarizeReport } from './reportSummary.js';
+import { validateDataSource, loadDataSource } from './dataSources.js';
+import { artifactDir, createDownloadLink } from './artifactStore.js';
+import { zipLargeAttachments } from './attachmentArchive.js';
+import { countReport, recordReportGenerated } from './metrics.js';
+import { getProfile, bindTraceToProfile, DEFAULT_PROFILE } from './profiles.js';
+import { appendRun } from './runHistoryStore.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Above this total attachment size the email carries download links instead (0 disables)
+const LINK_THRESHOLD_BYTES = parseInt(process.env.ARTIFACT_LINK_THRESHOLD_BYTES || String(10 * 1024 * 1024), 10);
+const DELIVERY_MODES = ['attachment', 'link'];
+
+// Validates report options shared by send-report and schedules, or returns { error, field } for a 400
+// When `dataSource` is set the report data is loaded from it at send time instead of `data`.
+// `delivery` forces 'attachment' or 'link'; left unset, large reports switch to links automatically.
+// `channels` lists where the report goes (email, slack, teams, webhook); recipients are only needed for email.
+// `columns` and `highlight` shape the spreadsheet and override the template's <name>.layout.json.
+// `summary` (true or an aggregate config, see reportSummary.js) adds a Summary sheet and an email KPI table.
+// `profile` names the Dynatrace environment, SMTP server, sender and branding to use (see profiles.js);
+// its sender name and template are the defaults for `fromName` and `template`.
+export async function buildReportOptions({ data, dataSource, recipients, subject, fromName, formats, template, variables, delivery, channels, columns, highlight, summary, profile }) {
+  const selected = getProfile(profile || DEFAULT_PROFILE);
+  if (!selected) {
+    return { error: `❌ Unknown profile: ${profile}.`, field: 'profile' };
+  }
+
+  channels = parseChannels(channels);
+  const channelError = validateChannels(channels);
+  if (channelError) {
+    return { error: `❌ Invalid delivery channels: ${channelError}.`, field: 'channels' };
+  }
+
+  recipients = (Array.isArray(recipients) ? recipients : String(recipients || '').split(','))
+    .map(e => String(e).trim())
+    .filter(Boolean);
+  if (recipients.length === 0 && channels.some(c => c.type === 'email')) {
+    return { error: '❌ Missing recipients.', field: 'recipients' };
+  }
+
+  formats = parseFormats(formats);
+  const unsupported = unsupportedFormats(formats);
+  if (unsupported.length > 0) {
+    return { error: `❌ Unsupported report format: ${unsupported.join(', ')}.`, field: 'formats' };
+  }
+
+  template = template || selected.branding.template || DEFAULT_TEMPLATE;
+  if (!(await templateExists(template))) {
+    return { error: `❌ Unknown email template: ${template}.`, field: 'template' };
+  }
+  if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+    return { error: '❌ `variables` must be an object.', field: 'variables' };
+  }
+  if (delivery !== undefined && !DELIVERY_MODES.includes(delivery)) {
+    return { error: `❌ Unsupported delivery mode: ${delivery}.`, field: 'delivery' };
+  }
+  const layoutError = validateLayout({ columns, highlight });
+  if (layoutError) {
+    return { error: `❌ ${layoutError}.`, field: layoutError.startsWith('`columns') ? 'columns' : 'highlight' };
+  }
+  const summaryError = validateSummary(summary);
+  if (summaryError) {
+    return { error: `❌ ${summaryError}.`, field: 'summary' };
+  }
+  if (dataSource !== undefined) {
+    const sourceError = validateDataSource(dataSource);
+    if (sourceError) return { error: `❌ ${sourceError}.`, field: 'dataSource' };
+  }
+
+  return {
+    report: {
+      data,
+      dataSource,
+      recipients,
+      subject: subject || 'Dynatrace Report',
+      fromName: fromName || selected.sender.name,
+      formats,
+      template,
+      variables,
+      delivery,
+      channels,
+      columns,
+      highlight,
+      summary,
+      profile: selected.name,
+    },
+  };
+}
+
+// Turns send-report headers + body into report options, or { error, field } for a 400 where
+// `field` points at the header or body field the value came from.
+// Format and template can come from headers or from `formats` / `template` fields on an object body.
+// A `queries` map on the body ({ Sheet: 'fetch ...' }) pulls the data from Grail instead.
+// Channels come from x-report-channels ("email,slack") or a `channels` array; x-email-to is only needed for email.
+// The profile comes from x-report-profile or a `profile` field, else `defaultProfile` (the API client's).
+export async function parseReportRequest(headers, body, defaultProfile) {
+  const channels = parseChannels(headers['x-report-channels'] || body?.channels);
+  if (!headers['x-email-to']?.trim() && channels.some(c => c?.type === 'email')) {
+    return { error: '❌ Missing x-email-to header.', field: 'headers.x-email-to' };
+  }
+  const fromHeader = (header, field) => (headers[header] ? `headers.${header}` : `body.${field}`);
+  const fields = {
+    channels: fromHeader('x-report-channels', 'channels'),
+    recipients: 'headers.x-email-to',
+    formats: fromHeader('x-report-format', 'formats'),
+    template: fromHeader('x-email-template', 'template'),
+    variables: 'body.variables',
+    delivery: fromHeader('x-report-delivery', 'delivery'),
+    dataSource: 'body.queries',
+    columns: 'body.columns',
+    highlight: 'body.highlight',
+    summary: 'body.summary',
+    profile: fromHeader('x-report-profile', 'profile'),
+  };
+  const result = await buildReportOptions({
+    channels,
+    data: body,
+    recipients: headers['x-email-to'],
+    subject: headers['x-email-subject'],
+    fromName: headers['x-email-from-name'],
+    formats: headers['x-report-format'] || body?.formats,
+    template: headers['x-email-template'] || body?.template,
+    variables: body?.variables,
+    delivery: headers['x-report-delivery'] || body?.delivery,
+    columns: body?.columns,
+    highlight: body?.highlight,
+    summary: body?.summary,
+    profile: headers['x-report-profile'] || body?.profile || defaultProfile,
+    dataSource: body?.queries !== undefined
+      ? { type: 'dql', queries: body.queries, timeframe: body.timeframe, maxResultRecords: body.maxResultRecords }
+      : undefined,
+  });
+  return result.error ? { ...result, field: fields[result.field] } : result;
+}
+
+// Loads the data source (if any), renders every requested format into the artifact folder
+// for `artifactKey` (trace or job ID) and delivers it to every channel. Email gets attachments
+// or signed links; chat and webhook channels always get links.
+// Runs in the caller's active context so the query, generator and delivery spans nest under it.
+// Throws only when every channel failed; the error then carries `deliveries`.
+// Every call is counted in reports.requested and then reports.sent or reports.failed (see metrics.js).
+// From here on the trace's logs and spans go to the Dynatrace environment of `options.profile`.
+// Every call, failed or not, also leaves a run record in the run history (see runHistoryStore.js).
+export async function generateAndSendReport(options, traceId, artifactKey = traceId) {
+  bindTraceToProfile(traceId, options.profile);
+  const labels = { client: options.client, profile: options.profile, formats: options.formats };
+  countReport('requested', labels);
+  const record = startRunRecord(options, traceId, artifactKey);
+  const run = produceAndDeliver(options, traceId, artifactKey, record);
+  inFlight.add(run);
+  try {
+    const result = await run;
+    countReport('sent', labels);
+    record.status = result.deliveries.some(d => d.status === 'failed') ? 'partial' : 'succeeded';
+    return result;
+  } catch (err) {
+    countReport('failed', labels);
+    record.status = 'failed';
+    record.error = err.message;
+    record.deliveries = err.deliveries || record.deliveries;
+    throw err;
+  } finally {
+    inFlight.delete(run);
+    await saveRunRecord(record);
+  }
+}
+
+// The audit record of one report run; produceAndDeliver fills in the stage results as it goes.
+// Only channel types are kept: webhook URLs can carry credentials.
+function startRunRecord(options, traceId, artifactKey) {
+  return {
+    id: uuidv4(),
+    traceId,
+    jobId: artifactKey !== traceId ? artifactKey : null,
+    scheduleId: options.scheduleId || null,
+    source: options.scheduleId ? 'schedule' : artifactKey !== traceId ? 'job' : 'request',
+    client: options.client || 'anonymous',
+    profile: options.profile,
+    status: 'running',
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    recipients: options.recipients,
+    subject: options.subject,
+    channels: options.channels.map(c => c.type),
+    formats: options.formats,
+    template: options.template,
+    dataSource: options.dataSource?.type || null,
+    rowCounts: {},
+    rows: 0,
+    attachmentBytes: 0,
+    attachments: [],
+    delivery: null,
+    timings: { query_ms: 0, render_ms: 0, delivery_ms: 0, total_ms: 0 },
+    deliveries: [],
+  };
+}
+
+// A run history that can't be written must not fail the report it describes
+async function saveRunRecord(record) {
+  record.finishedAt = new Date().toISOString();
+  record.timings.total_ms = Date.parse(record.finishedAt) - Date.parse(record.startedAt);
+  try {
+    await appendRun(record);
+  } catch (err) {
+    logger.warn(`[${record.traceId}] ⚠️ Could not record report run ${record.id}: ${err.message}`);
+  }
+}
+
+// Reports being produced right now, whether for a request, a queued job or a schedule
+const inFlight = new Set();
+
+export function reportsInFlight() {
+  return inFlight.size;
+}
+
+// Resolves true once nothing is in flight, or false when `timeoutMs` runs out first
+export async function waitForReports(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (inFlight.size > 0) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return false;
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...inFlight]),
+      new Promise(resolve => { timer = setTimeout(resolve, remaining); }),
+    ]);
+    clearTimeout(timer);
+  }
+  return true;
+}
+
+async function produceAndDeliver(options, traceId, artifactKey, record) {
+  const { dataSource, recipients, subject, fromName, formats, template, variables, delivery, channels } = options;
+  const templateLayout = (await loadTemplateLayout(template)) || {};
+  const layout = {
+    columns: options.columns ?? templateLayout.columns,
+    highlight: options.highlight ?? templateLayout.highlight,
+  };
+  const basePath = path.join(await artifactDir(artifactKey), 'dynatrace-report');
+
+  let data = options.data;
+  let queryTime = 0;
+  if (dataSource) {
+    const queryStart = Date.now();
+    data = await loadDataSource(dataSource, traceId, getProfile(options.profile));
+    queryTime = Date.now() - queryStart;
+    record.timings.query_ms = queryTime;
+    logger.info(`[${traceId}] ✅ Data loaded from ${dataSource.type} source in ${queryTime} ms`);
+  }
+
+  // Summary stage: aggregates over the loaded data for the Summary sheet and the email KPI table
+  const summary = summarizeReport(data, options.summary ?? templateLayout.summary, layout);
+  if (summary) {
+    logger.info(`[${traceId}] 📊 Summary computed for ${Object.keys(summary.sheets).length} sheet(s)`);
+  }
+
+  const excelStart = Date.now();
+  const report = { ...(await renderReport(data, formats, basePath, traceId, { layout, summary })), template, variables, summary, profile: options.profile, client: options.client };
+  const excelTime = Date.now() - excelStart;
+  logger.info(`[${traceId}] ✅ Report rendered (${formats.join(', ')}) in ${excelTime} ms`);
+
+  const { attachments: packed, sizes } = await zipLargeAttachments(report.attachments, traceId);
+  report.attachments = packed;
+  const attachmentBytes = sizes.reduce((sum, s) => sum + (s.zippedBytes ?? s.bytes), 0);
+  const rows = Object.values(report.rowCounts).reduce((sum, n) => sum + n, 0);
+  Object.assign(record, {
+    rowCounts: report.rowCounts,
+    rows,
+    attachmentBytes,
+    attachments: sizes.map(s => ({ filename: s.filename, bytes: s.zippedBytes ?? s.bytes, zipped: s.zippedBytes !== undefined })),
+  });
+  record.timings.render_ms = excelTime;
+  recordReportGenerated({ client: options.client, profile: options.profile, formats, durationMs: excelTime, rows, attachmentBytes });
+  trace.getActiveSpan()?.setAttributes({
+    'report.rows': rows,
+    'report.attachment.count': packed.length,
+    'report.attachment.bytes': attachmentBytes,
+    'report.attachment.uncompressed_bytes': sizes.reduce((sum, s) => sum + s.bytes, 0),
+    'report.attachment.zipped_count': sizes.filter(s => s.zippedBytes !== undefined).length,
+    'report.attachment.names': sizes.map(s => s.filename),
+    'report.attachment.sizes': sizes.map(s => s.zippedBytes ?? s.bytes),
+  });
+  const useLinks = delivery === 'link'
+    || (delivery === undefined && LINK_THRESHOLD_BYTES > 0 && attachmentBytes > LINK_THRESHOLD_BYTES);
+  const needsLinks = useLinks || channels.some(c => c.type !== 'email');
+  const links = needsLinks
+    ? report.attachments.map(a => ({ filename: a.filename, ...createDownloadLink(artifactKey, a.filename) }))
+    : [];
+  record.delivery = useLinks ? 'link' : 'attachment';
+  if (useLinks) {
+    report.links = links;
+    logger.info(`[${traceId}] 🔗 Sending ${links.length} download link(s) instead of ${attachmentBytes} bytes of attachments`);
+  }
+
+  const deliveryStart = Date.now();
+  const deliveries = await deliverReport(channels, {
+    report,
+    attachments: useLinks ? [] : report.attachments,
+    links,
+    recipients,
+    subject,
+    fromName,
+    traceId,
+  });
+  const deliveryTime = Date.now() - deliveryStart;
+  record.timings.delivery_ms = deliveryTime;
+  record.deliveries = deliveries;
+  const emailTime = deliveries.find(d => d.channel === 'email')?.durationMs || 0;
+
+  if (deliveries.every(d => d.status === 'failed')) {
+    const err = new Error(deliveries.map(d => `${d.channel}: ${d.error}`).join('; '));
+    err.deliveries = deliveries;
+    throw err;
+  }
+
+  return {
+    data,
+    attachments: report.attachments,
+    links,
+    attachmentBytes,
+    rowCounts: report.rowCounts,
+    summary,
+    deliveries,
+    queryTime,
+    excelTime,
+    emailTime,
+    deliveryTime,
+  };
+}
+
+// ✅ Unified JSON log payload, one per report
+export async function sendExecutionSummary({ traceId, spanId, headers, data, formats, deliveries = [], queryTime = 0, excelTime, emailTime, totalTime, extra = {} }) {
+  ingestClient.enqueue({
+    timestamp: Date.now(),
+    level: 'INFO',
+    content: 'Dynatrace email reporting execution summary',
+    trace_id: traceId,
+    span_id: spanId,
+    ...serviceFields(traceId),
+    'log.source': 'v1/api/dynatrace-email-report',
+    request_headers: headers,
+    request_payload: data,
+    report_formats: formats,
+    report_deliveries: deliveries,
+    query_time_ms: queryTime,
+    excel_time_ms: excelTime,
+    email_time_ms: emailTime,
+    total_time_ms: totalTime,
+    ...extra,
+  });
+}
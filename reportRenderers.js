@@ -0,0 +1,80 @@
+// reportRenderers.js
+import path from 'path';
+import { generateExcel, normalizeSheets } from './excelGenerator.js';
+import { generateCsv } from './csvGenerator.js';
+import { generatePdf } from './pdfGenerator.js';
+import { generateHtmlTable } from './htmlGenerator.js';
+import { summaryRows } from './reportSummary.js';
+
+export const DEFAULT_FORMATS = ['xlsx'];
+
+function attachment(filePath, contentType) {
+  return { filename: path.basename(filePath), path: filePath, contentType };
+}
+
+// Every renderer takes (data, basePath, requestId, options) and returns { attachments?, html? }.
+// basePath is the output path without extension, e.g. ./data/dynatrace-report.
+// options.layout holds the column and highlight definitions for the spreadsheet,
+// options.summary the aggregates from reportSummary.js (null when the summary stage is off).
+export const renderers = {
+  xlsx: {
+    label: 'Excel (.xlsx)',
+    async render(data, basePath, requestId, { layout, summary } = {}) {
+      const filePath = `${basePath}.xlsx`;
+      await generateExcel(data, filePath, requestId, layout, summary ? summaryRows(summary) : null);
+      return { attachments: [attachment(filePath, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')] };
+    },
+  },
+  csv: {
+    label: 'CSV (.csv)',
+    async render(data, basePath, requestId) {
+      const files = await generateCsv(data, basePath, requestId);
+      return { attachments: files.map(f => attachment(f, 'text/csv')) };
+    },
+  },
+  pdf: {
+    label: 'PDF (.pdf)',
+    async render(data, basePath, requestId) {
+      const filePath = `${basePath}.pdf`;
+      await generatePdf(data, filePath, requestId);
+      return { attachments: [attachment(filePath, 'application/pdf')] };
+    },
+  },
+  html: {
+    label: 'Inline HTML table',
+    async render(data, basePath, requestId) {
+      return { html: await generateHtmlTable(data, requestId) };
+    },
+  },
+};
+
+// Accepts "xlsx,csv", ["xlsx", "pdf"] or nothing (falls back to DEFAULT_FORMATS)
+export function parseFormats(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const formats = [...new Set(list.map(f => String(f).trim().toLowerCase()).filter(Boolean))];
+  return formats.length ? formats : [...DEFAULT_FORMATS];
+}
+
+export function unsupportedFormats(formats) {
+  return formats.filter(f => !Object.hasOwn(renderers, f));
+}
+
+export async function renderReport(data, formats, basePath, requestId, options = {}) {
+  const attachments = [];
+  const htmlParts = [];
+  for (const format of formats) {
+    const { attachments: files = [], html } = await renderers[format].render(data, basePath, requestId, options);
+    attachments.push(...files);
+    if (html) htmlParts.push(html);
+  }
+  const rowCounts = {};
+  for (const [name, rows] of Object.entries(normalizeSheets(data))) {
+    rowCounts[name] = Array.isArray(rows) ? rows.length : 0;
+  }
+  return {
+    attachments,
+    html: htmlParts.join('\n'),
+    labels: formats.map(f => renderers[f].label),
+    rowCounts,
+  };
+}
@@ -0,0 +1,186 @@
+// reportSummary.js
+import { normalizeSheets, toDate } from './excelGenerator.js';
+import { escapeHtml } from './htmlGenerator.js';
+
+const DEFAULT_TOP_N = 5;
+// Used when `summary: true` leaves the choice of fields to us
+const COUNT_FIELDS = ['severity', 'severitylevel', 'status', 'state', 'category'];
+const ENTITY_FIELDS = ['affected_entity', 'affected_entity_ids', 'entity', 'entityname', 'entity.name', 'dt.entity.host', 'dt.entity.service', 'host.name', 'service.name'];
+const TIME_FIELDS = ['timestamp', 'start', 'starttime', 'event.start', 'end', 'endtime', 'event.end'];
+
+const fieldList = (value) => [].concat(value || []);
+const lastSegment = (field) => field.split('.').pop().toLowerCase();
+
+// Returns an error message, or null. `summary` is true (pick fields automatically) or
+// { countBy: [field], topN: [{ field, limit? }], stats: [field], timeField: field | [field], sheets: [name] }
+export function validateSummary(summary) {
+  if (summary === undefined || typeof summary === 'boolean') return null;
+  if (!summary || typeof summary !== 'object' || Array.isArray(summary)) return '`summary` must be true, false or an object';
+  for (const key of ['countBy', 'stats', 'timeField', 'sheets']) {
+    if (summary[key] !== undefined && !fieldList(summary[key]).every(f => typeof f === 'string')) {
+      return `\`summary.${key}\` must be a field name or a list of them`;
+    }
+  }
+  for (const [i, top] of fieldList(summary.topN).entries()) {
+    const field = typeof top === 'string' ? top : top?.field;
+    if (typeof field !== 'string') return `\`summary.topN[${i}].field\` is required`;
+    if (top.limit !== undefined && !(Number.isInteger(top.limit) && top.limit > 0)) return `\`summary.topN[${i}].limit\` must be a positive integer`;
+  }
+  return null;
+}
+
+function fieldsOf(rows) {
+  const fields = new Set();
+  for (const row of rows) Object.keys(row || {}).forEach(f => fields.add(f));
+  return [...fields];
+}
+
+function isNumericField(rows, field) {
+  let seen = false;
+  for (const row of rows) {
+    const value = row?.[field];
+    if (value === null || value === undefined || value === '') continue;
+    if (typeof value !== 'number') return false;
+    seen = true;
+  }
+  return seen;
+}
+
+// With `summary: true`: count severity/status-like fields, rank entity fields, and take min/max/avg
+// of every numeric column that isn't a timestamp (by column type or by name)
+function autoConfig(rows, columns) {
+  const fields = fieldsOf(rows);
+  const dateFields = new Set(columns.filter(c => c.type === 'date').map(c => c.field));
+  const timeFields = fields.filter(f => dateFields.has(f) || TIME_FIELDS.includes(f.toLowerCase()));
+  return {
+    countBy: fields.filter(f => COUNT_FIELDS.includes(lastSegment(f))),
+    topN: fields.filter(f => ENTITY_FIELDS.includes(f.toLowerCase())).map(field => ({ field })),
+    stats: fields.filter(f => !timeFields.includes(f) && isNumericField(rows, f)),
+    timeField: timeFields,
+  };
+}
+
+function countValues(rows, field) {
+  const counts = new Map();
+  for (const row of rows) {
+    for (const value of [].concat(row?.[field] ?? [])) {
+      const key = String(value);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([value, count]) => ({ value, count }));
+}
+
+function stats(rows, field) {
+  const numbers = rows
+    .map(r => r?.[field])
+    .filter(v => v !== null && v !== undefined && v !== '')
+    .map(Number)
+    .filter(Number.isFinite);
+  if (numbers.length === 0) return null;
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  for (const n of numbers) {
+    min = Math.min(min, n);
+    max = Math.max(max, n);
+    sum += n;
+  }
+  return { min, max, avg: sum / numbers.length, count: numbers.length };
+}
+
+function timeRange(rows, fields, columns) {
+  let start = null;
+  let end = null;
+  for (const field of fields) {
+    const unit = columns.find(c => c.field === field)?.unit;
+    for (const row of rows) {
+      const date = toDate(row?.[field], unit);
+      if (!(date instanceof Date) || Number.isNaN(date.getTime())) continue;
+      if (!start || date < start) start = date;
+      if (!end || date > end) end = date;
+    }
+  }
+  return start ? { start, end } : null;
+}
+
+function columnsFor(layout, sheetName) {
+  const columns = layout?.columns;
+  return (Array.isArray(columns) ? columns : columns?.[sheetName]) || [];
+}
+
+// Computes the configured aggregates for every sheet (or only `summary.sheets`).
+// Returns null when the summary is off.
+export function summarizeReport(data, summary, layout = {}) {
+  if (!summary) return null;
+  const sheets = {};
+  for (const [name, sheetRows] of Object.entries(normalizeSheets(data))) {
+    if (summary.sheets && !fieldList(summary.sheets).includes(name)) continue;
+    const rows = Array.isArray(sheetRows) ? sheetRows : [];
+    const columns = columnsFor(layout, name);
+    const config = summary === true ? autoConfig(rows, columns) : summary;
+    const label = (field) => columns.find(c => c.field === field)?.name || field;
+
+    sheets[name] = {
+      rows: rows.length,
+      counts: fieldList(config.countBy).map(field => ({ field, label: label(field), values: countValues(rows, field) })),
+      top: fieldList(config.topN).map(top => {
+        const field = typeof top === 'string' ? top : top.field;
+        return { field, label: label(field), values: countValues(rows, field).slice(0, top.limit || DEFAULT_TOP_N) };
+      }),
+      stats: fieldList(config.stats)
+        .map(field => ({ field, label: label(field), ...stats(rows, field) }))
+        .filter(s => s.count),
+      timeRange: timeRange(rows, fieldList(config.timeField), columns),
+    };
+  }
+  return { sheets };
+}
+
+const round = (n) => (Number.isInteger(n) ? n : Math.round(n * 100) / 100);
+
+// Flattens a summary into { sheet, metric, value } rows, shared by the Summary sheet and the email KPI table
+export function summaryRows(summary) {
+  const rows = [];
+  for (const [sheet, s] of Object.entries(summary?.sheets || {})) {
+    rows.push({ sheet, metric: 'Rows', value: s.rows });
+    if (s.timeRange) {
+      rows.push({ sheet, metric: 'From', value: s.timeRange.start });
+      rows.push({ sheet, metric: 'To', value: s.timeRange.end });
+    }
+    for (const { label, values } of s.counts) {
+      for (const { value, count } of values) rows.push({ sheet, metric: `${label}: ${value}`, value: count });
+    }
+    for (const { label, values } of s.top) {
+      values.forEach(({ value, count }, i) => rows.push({ sheet, metric: `Top ${label} #${i + 1}: ${value}`, value: count }));
+    }
+    for (const { label, min, max, avg } of s.stats) {
+      rows.push({ sheet, metric: `${label} min`, value: round(min) });
+      rows.push({ sheet, metric: `${label} avg`, value: round(avg) });
+      rows.push({ sheet, metric: `${label} max`, value: round(max) });
+    }
+  }
+  return rows;
+}
+
+const displayValue = (value) => (value instanceof Date ? value.toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : String(value));
+
+// Small inline KPI table for the email body; the sheet column is dropped for single-sheet reports
+export function summaryHtml(summary) {
+  const rows = summaryRows(summary);
+  if (rows.length === 0) return '';
+  const multiSheet = Object.keys(summary.sheets).length > 1;
+  const cell = 'style="border: 1px solid #ddd; padding: 4px 8px; font-size: 13px;"';
+  const head = 'style="border: 1px solid #ddd; padding: 4px 8px; font-size: 13px; background-color: #f2f2f2; text-align: left;"';
+  return `<table style="border-collapse: collapse; margin: 12px 0;">
+  <tr>${multiSheet ? `<th ${head}>Sheet</th>` : ''}<th ${head}>Metric</th><th ${head}>Value</th></tr>
+  ${rows.map(r => `<tr>${multiSheet ? `<td ${cell}>${escapeHtml(r.sheet)}</td>` : ''}<td ${cell}>${escapeHtml(r.metric)}</td><td ${cell}>${escapeHtml(displayValue(r.value))}</td></tr>`).join('\n  ')}
+</table>`;
+}
+
+export function summaryText(summary) {
+  const multiSheet = Object.keys(summary?.sheets || {}).length > 1;
+  return summaryRows(summary)
+    .map(r => `- ${multiSheet ? `${r.sheet} · ` : ''}${r.metric}: ${displayValue(r.value)}`)
+    .join('\n');
+}
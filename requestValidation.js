@@ -0,0 +1,95 @@
+// requestValidation.js
+import fs from 'fs';
+import { Ajv } from 'ajv';
+import addFormats from 'ajv-formats';
+
+export const SEND_REPORT_SCHEMA_PATH = new URL('./schemas/send-report.schema.json', import.meta.url);
+const sendReportSchema = JSON.parse(fs.readFileSync(SEND_REPORT_SCHEMA_PATH, 'utf8'));
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv, ['email']);
+const validateSendReportSchema = ajv.compile(sendReportSchema);
+
+// Cap the list so a body with thousands of bad rows doesn't produce a huge response
+const MAX_ERRORS = 20;
+
+// "/body/sheets/Problems/0/title" → "body.sheets.Problems[0].title"
+function toFieldPath(pointer, child) {
+  const parts = pointer.split('/').slice(1).map(p => p.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (child !== undefined) parts.push(child);
+  return parts.reduce((field, part) => (/^\d+$/.test(part) ? `${field}[${part}]` : field ? `${field}.${part}` : part), '');
+}
+
+function describe(error) {
+  switch (error.keyword) {
+    case 'required':
+      return { field: toFieldPath(error.instancePath, error.params.missingProperty), message: 'is required' };
+    case 'additionalProperties':
+      return { field: toFieldPath(error.instancePath, error.params.additionalProperty), message: 'is not a recognised field' };
+    case 'type':
+      return { field: toFieldPath(error.instancePath), message: `must be ${[].concat(error.params.type).join(' or ')}` };
+    case 'format':
+      return { field: toFieldPath(error.instancePath), message: `must be a valid ${error.params.format} address` };
+    case 'enum':
+      return { field: toFieldPath(error.instancePath), message: `must be one of ${error.params.allowedValues.join(', ')}` };
+    default:
+      return { field: toFieldPath(error.instancePath), message: error.message };
+  }
+}
+
+// Only the headers the schema knows about; x-email-to is checked address by address
+function pickHeaders(headers) {
+  const picked = {};
+  for (const name of Object.keys(sendReportSchema.properties.headers.properties)) {
+    if (headers[name] !== undefined) picked[name] = headers[name];
+  }
+  if (picked['x-email-to'] !== undefined) {
+    picked['x-email-to'] = picked['x-email-to'].split(',').map(e => e.trim()).filter(Boolean);
+  }
+  return picked;
+}
+
+// Returns a list of { field, message }; empty when the request matches the published schema
+export function validateSendReport(headers, body) {
+  if (validateSendReportSchema({ headers: pickHeaders(headers), body })) return [];
+  const seen = new Set();
+  const errors = [];
+  // if/then and oneOf wrappers only repeat what their branches already said
+  for (const error of validateSendReportSchema.errors.filter(e => !['if', 'oneOf'].includes(e.keyword))) {
+    const described = describe(error);
+    const key = `${described.field} ${described.message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    errors.push(described);
+    if (errors.length >= MAX_ERRORS) break;
+  }
+  return errors;
+}
+
+export function getSendReportSchema() {
+  return sendReportSchema;
+}
+
+// Records validation failures as span events and attributes. They are the caller's
+// mistake, so the span status and exceptions stay reserved for server-side failures.
+export function recordValidationErrors(span, errors) {
+  span.setAttribute('error.type', 'validation_error');
+  span.setAttribute('validation.error_count', errors.length);
+  for (const { field, message } of errors) {
+    span.addEvent('validation.error', { 'validation.field': field, 'validation.message': message });
+  }
+}
+
+// RFC 7807 problem details; `errors` and `traceId` are extension members
+export function sendProblem(res, { status, title, detail, errors, traceId, ...extra }) {
+  res.status(status).type('application/problem+json').json({
+    type: 'about:blank',
+    title,
+    status,
+    detail,
+    instance: res.req.originalUrl,
+    traceId,
+    ...(errors && { errors }),
+    ...extra,
+  });
+}
@@ -0,0 +1,72 @@
+// runHistoryRoutes.js
+import express from 'express';
+import { listRuns, getRun } from './runHistoryStore.js';
+import { ownsResource } from './auth.js';
+
+const router = express.Router();
+const MAX_LIMIT = 500;
+const STATUSES = ['succeeded', 'partial', 'failed'];
+const SOURCES = ['request', 'job', 'schedule'];
+
+// Query string → { filters, paging } or { error }
+function parseQuery(query) {
+  const filters = {};
+  for (const field of ['status', 'client', 'profile', 'source', 'traceId', 'scheduleId', 'recipient', 'subject']) {
+    if (typeof query[field] === 'string' && query[field].trim()) filters[field] = query[field].trim();
+  }
+  if (filters.status && !STATUSES.includes(filters.status)) {
+    return { error: `❌ Invalid status: ${filters.status}. Use one of ${STATUSES.join(', ')}.` };
+  }
+  if (filters.source && !SOURCES.includes(filters.source)) {
+    return { error: `❌ Invalid source: ${filters.source}. Use one of ${SOURCES.join(', ')}.` };
+  }
+  for (const field of ['from', 'to']) {
+    if (query[field] === undefined) continue;
+    const date = new Date(query[field]);
+    if (Number.isNaN(date.getTime())) return { error: `❌ Invalid \`${field}\` timestamp: ${query[field]}.` };
+    filters[field] = date;
+  }
+
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `❌ \`limit\` must be an integer from 1 to ${MAX_LIMIT}.` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: '❌ `offset` must be a non-negative integer.' };
+  }
+  return { filters, paging: { limit, offset } };
+}
+
+// Listing leaves out the per-channel results and attachment details; the run route has them
+function describeRun({ deliveries, attachments, ...run }) {
+  return {
+    ...run,
+    failedChannels: deliveries.filter(d => d.status === 'failed').map(d => d.channel),
+    detailUrl: `/v1/api/reports/runs/${run.id}`,
+  };
+}
+
+// GET /v1/api/reports?recipient=cfo@example.com&from=2026-10-18&status=failed&limit=20&offset=0
+router.get('/', async (req, res) => {
+  const { error, filters, paging } = parseQuery(req.query);
+  if (error) {
+    res.status(400).send(error);
+    return;
+  }
+  // Clients only see their own runs; admins (and unauthenticated setups) may filter by any client
+  if (req.client && !req.client.admin) filters.client = req.client.name;
+  const { total, runs } = await listRuns(filters, paging);
+  res.json({ total, ...paging, runs: runs.map(describeRun) });
+});
+
+router.get('/runs/:runId', async (req, res) => {
+  const run = await getRun(req.params.runId);
+  if (!run || !ownsResource(req.client, run.client)) {
+    res.status(404).send('❌ Report run not found.');
+    return;
+  }
+  res.json(run);
+});
+
+export default router;
@@ -0,0 +1,102 @@
+// runHistoryStore.js
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+
+const STORE_FILE = process.env.RUN_HISTORY_FILE || './data/run-history.jsonl';
+// Runs older than this are dropped by the periodic cleanup (0 keeps everything)
+const RETENTION_MS = parseFloat(process.env.RUN_HISTORY_RETENTION_DAYS || '90') * 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = parseInt(process.env.RUN_HISTORY_CLEANUP_INTERVAL_MS || '3600000', 10);
+
+// One JSON line per report run, appended when the run finishes; see reportPipeline.js for the fields.
+// The file is parsed once and then kept in memory, oldest first, alongside the appends.
+let cache = null;
+let writing = Promise.resolve();
+
+// Serialise appends and pruning so a rewrite never loses a line appended meanwhile
+function queue(task) {
+  writing = writing.then(task, task);
+  return writing;
+}
+
+async function load() {
+  if (cache) return cache;
+  let raw;
+  try {
+    raw = await fs.readFile(STORE_FILE, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    raw = '';
+  }
+  const runs = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    // A line cut short by a crash mid-append is skipped rather than hiding every other run
+    try {
+      runs.push(JSON.parse(line));
+    } catch {
+      continue;
+    }
+  }
+  cache ??= runs;
+  return cache;
+}
+
+export function appendRun(run) {
+  return queue(async () => {
+    const runs = await load();
+    await fs.mkdir(path.dirname(STORE_FILE), { recursive: true });
+    await fs.appendFile(STORE_FILE, `${JSON.stringify(run)}\n`);
+    runs.push(run);
+  });
+}
+
+// Newest first. Filters (all optional): status, client, profile, source, traceId, scheduleId,
+// recipient (exact, case-insensitive), subject (substring, case-insensitive), from/to (Date, on startedAt).
+// → { total, runs } with `total` counted before `offset`/`limit` are applied
+export async function listRuns(filters = {}, { offset = 0, limit = 50 } = {}) {
+  const recipient = filters.recipient?.toLowerCase();
+  const subject = filters.subject?.toLowerCase();
+  const matches = (run) => {
+    for (const field of ['status', 'client', 'profile', 'source', 'traceId', 'scheduleId']) {
+      if (filters[field] && run[field] !== filters[field]) return false;
+    }
+    if (recipient && !run.recipients.some(r => r.toLowerCase() === recipient)) return false;
+    if (subject && !(run.subject || '').toLowerCase().includes(subject)) return false;
+    const startedAt = Date.parse(run.startedAt);
+    if (filters.from && startedAt < filters.from.getTime()) return false;
+    if (filters.to && startedAt >= filters.to.getTime()) return false;
+    return true;
+  };
+  const runs = (await load()).filter(matches).reverse();
+  return { total: runs.length, runs: runs.slice(offset, offset + limit) };
+}
+
+export async function getRun(id) {
+  return (await load()).find(r => r.id === id) || null;
+}
+
+// Rewrites the file without runs past the retention period, through a temp file + rename
+export function pruneRuns() {
+  if (!(RETENTION_MS > 0)) return Promise.resolve(0);
+  return queue(async () => {
+    const runs = await load();
+    const cutoff = Date.now() - RETENTION_MS;
+    const kept = runs.filter(r => Date.parse(r.startedAt) >= cutoff);
+    if (kept.length === runs.length) return 0;
+    await fs.mkdir(path.dirname(STORE_FILE), { recursive: true });
+    const tmp = `${STORE_FILE}.tmp`;
+    await fs.writeFile(tmp, kept.map(r => `${JSON.stringify(r)}\n`).join(''));
+    await fs.rename(tmp, STORE_FILE);
+    cache = kept;
+    return runs.length - kept.length;
+  });
+}
+
+export function startRunHistoryCleanup() {
+  const run = () => pruneRuns()
+    .then(removed => removed > 0 && logger.info(`🧹 Pruned ${removed} report run(s) past RUN_HISTORY_RETENTION_DAYS`))
+    .catch(err => logger.error(`❌ Could not prune the report run history: ${err.message}`));
+  run();
+  setInterval(run, CLEANUP_INTERVAL_MS).unref();
+}
@@ -0,0 +1,148 @@
+// scheduleRoutes.js
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import logger from './logger.js';
+import { listSchedules, getSchedule, putSchedule, deleteSchedule } from './scheduleStore.js';
+import { validateDataSource } from './dataSources.js';
+import { buildReportOptions } from './reportPipeline.js';
+import { disallowedRecipients, disallowedChannels, logRejection, defaultProfileFor, profileAllowed, ownsResource } from './auth.js';
+import { isValidCron, isValidTimezone, syncSchedule, unschedule, runSchedule } from './scheduler.js';
+
+const router = express.Router();
+
+// Checks a schedule body and returns { error } or { schedule } with normalised report fields
+async function validateSchedule(body, req) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: '❌ Schedule body must be an object.' };
+  }
+  if (!isValidCron(body.cron)) {
+    return { error: `❌ Invalid cron expression: ${body.cron}.` };
+  }
+  if (body.timezone !== undefined && !isValidTimezone(body.timezone)) {
+    return { error: `❌ Invalid timezone: ${body.timezone}.` };
+  }
+  const sourceError = validateDataSource(body.dataSource);
+  if (sourceError) {
+    return { error: `❌ ${sourceError}.` };
+  }
+  const { error, report } = await buildReportOptions({ ...body, profile: body.profile || defaultProfileFor(req.client) });
+  if (error) {
+    return { error };
+  }
+  if (!profileAllowed(req.client, report.profile)) {
+    await logRejection(req, `Profile not allowed: ${report.profile}`);
+    return { status: 403, error: `❌ Profile not allowed for this client: ${report.profile}.` };
+  }
+  const blocked = disallowedRecipients(req.client, report.recipients);
+  if (blocked.length > 0) {
+    await logRejection(req, `Recipients not allowed: ${blocked.join(', ')}`);
+    return { status: 403, error: `❌ Recipients not allowed for this client: ${blocked.join(', ')}.` };
+  }
+  const blockedChannels = disallowedChannels(req.client, report.channels);
+  if (blockedChannels.length > 0) {
+    await logRejection(req, `Channel URLs not allowed: ${blockedChannels.join(', ')}`);
+    return { status: 403, error: `❌ Channel URLs not allowed for this client: ${blockedChannels.join(', ')}.` };
+  }
+
+  return {
+    schedule: {
+      name: body.name || '',
+      cron: body.cron,
+      timezone: body.timezone,
+      enabled: body.enabled !== false,
+      recipients: report.recipients,
+      subject: report.subject,
+      fromName: report.fromName,
+      formats: report.formats,
+      delivery: report.delivery,
+      template: report.template,
+      variables: report.variables,
+      channels: report.channels,
+      columns: report.columns,
+      highlight: report.highlight,
+      summary: report.summary,
+      profile: report.profile,
+      dataSource: body.dataSource,
+      owner: req.client?.name || null,
+    },
+  };
+}
+
+// A client only ever sees its own schedules; anyone else's answer 404 as if they didn't exist
+async function findSchedule(req) {
+  const schedule = await getSchedule(req.params.id);
+  return schedule && ownsResource(req.client, schedule.owner) ? schedule : null;
+}
+
+router.get('/', async (req, res) => {
+  res.json((await listSchedules()).filter(s => ownsResource(req.client, s.owner)));
+});
+
+router.post('/', async (req, res) => {
+  const { status, error, schedule } = await validateSchedule(req.body, req);
+  if (error) {
+    res.status(status || 400).send(error);
+    return;
+  }
+  const now = new Date().toISOString();
+  const created = await putSchedule({ id: uuidv4(), ...schedule, createdAt: now, updatedAt: now });
+  syncSchedule(created);
+  logger.info(`⏰ Schedule ${created.id} created (${created.cron})`);
+  res.status(201).json(created);
+});
+
+router.get('/:id', async (req, res) => {
+  const schedule = await findSchedule(req);
+  if (!schedule) {
+    res.status(404).send('❌ Schedule not found.');
+    return;
+  }
+  res.json(schedule);
+});
+
+router.put('/:id', async (req, res) => {
+  const existing = await findSchedule(req);
+  if (!existing) {
+    res.status(404).send('❌ Schedule not found.');
+    return;
+  }
+  const { status, error, schedule } = await validateSchedule(req.body, req);
+  if (error) {
+    res.status(status || 400).send(error);
+    return;
+  }
+  const updated = await putSchedule({
+    id: existing.id,
+    ...schedule,
+    owner: existing.owner,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString(),
+    lastRun: existing.lastRun,
+  });
+  syncSchedule(updated);
+  logger.info(`⏰ Schedule ${updated.id} updated (${updated.cron})`);
+  res.json(updated);
+});
+
+router.delete('/:id', async (req, res) => {
+  if (!(await findSchedule(req))) {
+    res.status(404).send('❌ Schedule not found.');
+    return;
+  }
+  unschedule(req.params.id);
+  await deleteSchedule(req.params.id);
+  logger.info(`⏰ Schedule ${req.params.id} deleted`);
+  res.status(204).end();
+});
+
+// Fires a schedule immediately, outside its cron timing
+router.post('/:id/run', async (req, res) => {
+  const lastRun = (await findSchedule(req)) && (await runSchedule(req.params.id));
+  if (!lastRun) {
+    res.status(404).send('❌ Schedule not found.');
+    return;
+  }
+  res.status({ succeeded: 200, partial: 207 }[lastRun.status] || 500).json(lastRun);
+});
+
+export default router;
@@ -0,0 +1,59 @@
+// scheduleStore.js
+import fs from 'fs/promises';
+import path from 'path';
+
+const STORE_FILE = process.env.SCHEDULES_FILE || './data/schedules.json';
+
+// Schedules live in one JSON file so they survive restarts; writes go through a temp file + rename
+let cache = null;
+let writing = Promise.resolve();
+
+async function load() {
+  if (cache) return cache;
+  try {
+    cache = JSON.parse(await fs.readFile(STORE_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    cache = [];
+  }
+  return cache;
+}
+
+async function write() {
+  await fs.mkdir(path.dirname(STORE_FILE), { recursive: true });
+  const tmp = `${STORE_FILE}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(cache, null, 2));
+  await fs.rename(tmp, STORE_FILE);
+}
+
+// Serialise writes so overlapping API calls never interleave on the temp file
+function save() {
+  writing = writing.then(write, write);
+  return writing;
+}
+
+export async function listSchedules() {
+  return [...(await load())];
+}
+
+export async function getSchedule(id) {
+  return (await load()).find(s => s.id === id) || null;
+}
+
+export async function putSchedule(schedule) {
+  const schedules = await load();
+  const index = schedules.findIndex(s => s.id === schedule.id);
+  if (index === -1) schedules.push(schedule);
+  else schedules[index] = schedule;
+  await save();
+  return schedule;
+}
+
+export async function deleteSchedule(id) {
+  const schedules = await load();
+  const index = schedules.findIndex(s => s.id === id);
+  if (index === -1) return false;
+  schedules.splice(index, 1);
+  await save();
+  return true;
+}
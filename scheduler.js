@@ -0,0 +1,125 @@
+// scheduler.js
+import cron from 'node-cron';
+import { trace, context, ROOT_CONTEXT } from '@opentelemetry/api';
+import logger, { logToDynatrace } from './logger.js';
+import { listSchedules, getSchedule, putSchedule } from './scheduleStore.js';
+import { getClient, disallowedRecipients, disallowedChannels, profileAllowed } from './auth.js';
+import { buildReportOptions, generateAndSendReport, sendExecutionSummary } from './reportPipeline.js';
+
+const tracer = trace.getTracer('dynatrace-email-reporter');
+const tasks = new Map();
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+
+export function isValidCron(expression) {
+  return typeof expression === 'string' && cron.validate(expression);
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// One firing: load data, then the same render-and-send path as /v1/api/send-report,
+// in its own root span so each run is a separate trace
+export async function runSchedule(id) {
+  const schedule = await getSchedule(id);
+  if (!schedule) return null;
+
+  const span = tracer.startSpan('scheduled-report', {
+    attributes: { 'report.schedule_id': schedule.id, 'report.schedule_name': schedule.name || '' },
+  }, ROOT_CONTEXT);
+  const ctx = trace.setSpan(ROOT_CONTEXT, span);
+  const traceId = span.spanContext().traceId;
+  const spanId = span.spanContext().spanId;
+  const startTime = Date.now();
+  const lastRun = { at: new Date(startTime).toISOString(), traceId };
+
+  try {
+    const result = await context.with(ctx, async () => {
+      const { error, report } = await buildReportOptions(schedule);
+      if (error) throw new Error(error);
+      // The owning client's allowlist may have changed since the schedule was saved
+      if (schedule.owner) {
+        const owner = getClient(schedule.owner);
+        const blocked = owner ? disallowedRecipients(owner, report.recipients) : report.recipients;
+        if (blocked.length > 0) throw new Error(`Recipients not allowed for ${schedule.owner}: ${blocked.join(', ')}`);
+        const blockedChannels = owner ? disallowedChannels(owner, report.channels) : [];
+        if (blockedChannels.length > 0) throw new Error(`Channel URLs not allowed for ${schedule.owner}: ${blockedChannels.join(', ')}`);
+        if (!profileAllowed(owner, report.profile)) throw new Error(`Profile not allowed for ${schedule.owner}: ${report.profile}`);
+      }
+      span.setAttributes({ 'report.formats': report.formats.join(','), 'report.profile': report.profile });
+      report.client = schedule.owner;
+      report.scheduleId = schedule.id;
+      return { report, ...(await generateAndSendReport(report, traceId)) };
+    });
+
+    const totalTime = Date.now() - startTime;
+    logger.info(`[${traceId}] ✅ Scheduled report ${schedule.id} sent in ${totalTime} ms`);
+    await sendExecutionSummary({
+      traceId, spanId,
+      headers: {},
+      data: result.data,
+      formats: result.report.formats,
+      deliveries: result.deliveries,
+      queryTime: result.queryTime,
+      excelTime: result.excelTime,
+      emailTime: result.emailTime,
+      totalTime,
+      extra: { report_schedule_id: schedule.id },
+    });
+    const partial = result.deliveries.some(d => d.status === 'failed');
+    if (partial) span.setStatus({ code: 2, message: 'Some delivery channels failed' });
+    Object.assign(lastRun, { status: partial ? 'partial' : 'succeeded', durationMs: totalTime, deliveries: result.deliveries });
+    span.end();
+  } catch (err) {
+    span.recordException(err);
+    span.setStatus({ code: 2, message: err.message });
+    span.end();
+    logger.error(`[${traceId}] ❌ Scheduled report ${schedule.id} failed: ${err.message}`);
+    await logToDynatrace('ERROR', `Scheduled report ${schedule.id} failed: ${err.message}`, traceId, spanId);
+    Object.assign(lastRun, { status: 'failed', durationMs: Date.now() - startTime, error: err.message, deliveries: err.deliveries });
+  }
+
+  // The schedule may have been edited or deleted while it ran
+  const latest = await getSchedule(id);
+  if (latest) await putSchedule({ ...latest, lastRun });
+  return lastRun;
+}
+
+export function unschedule(id) {
+  tasks.get(id)?.destroy();
+  tasks.delete(id);
+}
+
+// (Re)registers the cron task for a stored schedule; disabled schedules are just removed.
+// With SCHEDULER_ENABLED=false nothing is registered, also for schedules saved through the API.
+export function syncSchedule(schedule) {
+  unschedule(schedule.id);
+  if (!SCHEDULER_ENABLED || schedule.enabled === false) return;
+  const task = cron.schedule(schedule.cron, () => runSchedule(schedule.id), {
+    name: schedule.id,
+    timezone: schedule.timezone,
+    noOverlap: true,
+  });
+  tasks.set(schedule.id, task);
+}
+
+export async function startScheduler() {
+  const schedules = await listSchedules();
+  for (const schedule of schedules) {
+    try {
+      syncSchedule(schedule);
+    } catch (err) {
+      logger.error(`❌ Could not schedule ${schedule.id}: ${err.message}`);
+    }
+  }
+  logger.info(`⏰ Scheduler started with ${tasks.size} active schedule(s)`);
+}
+
+export function stopScheduler() {
+  for (const id of [...tasks.keys()]) unschedule(id);
+}
@@ -0,0 +1,164 @@
+// stepRunner.js
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+
+const SAMPLE_INTERVAL_MS = parseInt(process.env.PIPELINE_SAMPLE_INTERVAL_MS || '200', 10);
+// How long a timed-out step gets between SIGTERM and SIGKILL
+const KILL_GRACE_MS = parseInt(process.env.PIPELINE_KILL_GRACE_MS || '5000', 10);
+export const OUTPUT_DEFAULTS = {
+  lines: parseInt(process.env.PIPELINE_OUTPUT_TAIL_LINES || '50', 10),
+  bytes: parseInt(process.env.PIPELINE_OUTPUT_TAIL_BYTES || String(16 * 1024), 10),
+};
+// Longer lines are cut, so one minified bundle can't fill the whole tail
+const MAX_LINE_LENGTH = 2000;
+// Linux reports these units in /proc/<pid>/stat
+const CLOCK_TICKS_PER_SECOND = 100;
+const PAGE_SIZE = 4096;
+
+// Keeps the last `lines` lines (and at most `bytes`) of a stream, with the time each line arrived
+function createTail({ lines, bytes }) {
+  const kept = [];
+  let keptBytes = 0;
+  let partial = '';
+  const tail = { totalBytes: 0, totalLines: 0, truncated: false };
+
+  const add = (text) => {
+    const line = text.length > MAX_LINE_LENGTH ? `${text.slice(0, MAX_LINE_LENGTH)}…` : text;
+    tail.totalLines++;
+    kept.push({ time: Date.now(), text: line });
+    keptBytes += Buffer.byteLength(line);
+    while (kept.length > lines || (keptBytes > bytes && kept.length > 1)) {
+      keptBytes -= Buffer.byteLength(kept.shift().text);
+      tail.truncated = true;
+    }
+  };
+  tail.push = (chunk) => {
+    tail.totalBytes += chunk.length;
+    const parts = (partial + chunk.toString('utf8')).split(/\r?\n/);
+    partial = parts.pop();
+    parts.forEach(add);
+  };
+  tail.end = () => {
+    if (partial) add(partial);
+    partial = '';
+    return kept;
+  };
+  return tail;
+}
+
+async function readStat(pid) {
+  try {
+    const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8');
+    // The command name may contain spaces and parentheses, so split after the last ')'
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    return { pid: Number(pid), ppid: Number(fields[1]), cpuTicks: Number(fields[11]) + Number(fields[12]), rssBytes: Number(fields[21]) * PAGE_SIZE };
+  } catch {
+    return null;
+  }
+}
+
+// Samples the step's process tree from /proc: peak resident memory of the whole tree and
+// CPU time per process (last value seen). Processes shorter than one interval are missed,
+// so both numbers are lower bounds. Returns null usage where /proc doesn't exist.
+function monitorProcessTree(rootPid) {
+  const cpuTicks = new Map();
+  let peakRssBytes = 0;
+  let sampling = false;
+  let available = true;
+
+  const sample = async () => {
+    if (sampling || !available) return;
+    sampling = true;
+    try {
+      const pids = (await fs.readdir('/proc')).filter((name) => /^\d+$/.test(name));
+      const stats = (await Promise.all(pids.map(readStat))).filter(Boolean);
+      const children = new Map();
+      for (const s of stats) children.set(s.ppid, [...(children.get(s.ppid) || []), s]);
+      const root = stats.find((s) => s.pid === rootPid);
+      if (!root) return;
+      let rss = 0;
+      for (const queue = [root]; queue.length;) {
+        const s = queue.pop();
+        rss += s.rssBytes;
+        cpuTicks.set(s.pid, s.cpuTicks);
+        queue.push(...(children.get(s.pid) || []));
+      }
+      peakRssBytes = Math.max(peakRssBytes, rss);
+    } catch {
+      available = false;
+    } finally {
+      sampling = false;
+    }
+  };
+
+  sample();
+  const timer = setInterval(sample, SAMPLE_INTERVAL_MS);
+  return {
+    stop: () => {
+      clearInterval(timer);
+      if (!available || cpuTicks.size === 0) return { cpuTimeMs: null, peakMemoryBytes: null };
+      const ticks = [...cpuTicks.values()].reduce((sum, t) => sum + t, 0);
+      return { cpuTimeMs: Math.round((ticks * 1000) / CLOCK_TICKS_PER_SECOND), peakMemoryBytes: peakRssBytes };
+    },
+  };
+}
+
+// Runs a step's shell command. stdout/stderr are still streamed to the CI log, and their tails kept.
+// Resolves with { exitCode, signal, timedOut, error, cpuTimeMs, peakMemoryBytes, output: { stdout, stderr } };
+// `error` is set for a non-zero exit, a signal, the timeout or a command that couldn't start.
+export function runStep(step) {
+  const limits = { ...OUTPUT_DEFAULTS, ...step.output };
+  return new Promise((resolve) => {
+    const tails = { stdout: createTail(limits), stderr: createTail(limits) };
+    let timedOut = false;
+    let spawnError = null;
+    // Its own process group, so a timeout reaches everything the shell started, not just the shell:
+    // grandchildren would otherwise keep the output pipes open and the step running
+    const child = spawn(step.run, {
+      shell: true,
+      detached: true,
+      cwd: step.cwd,
+      env: { ...process.env, ...step.env },
+      stdio: ['inherit', 'pipe', 'pipe'],
+    });
+    const killGroup = (signal) => {
+      try {
+        process.kill(-child.pid, signal);
+      } catch {
+        // The group is already gone
+      }
+    };
+    const monitor = child.pid ? monitorProcessTree(child.pid) : null;
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].on('data', (chunk) => {
+        process[stream].write(chunk);
+        tails[stream].push(chunk);
+      });
+    }
+    let graceTimer = null;
+    const timer = step.timeoutMs
+      ? setTimeout(() => {
+        timedOut = true;
+        killGroup('SIGTERM');
+        graceTimer = setTimeout(() => killGroup('SIGKILL'), KILL_GRACE_MS);
+      }, step.timeoutMs)
+      : null;
+    child.on('error', (err) => { spawnError = err; });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      clearTimeout(graceTimer);
+      const usage = monitor ? monitor.stop() : { cpuTimeMs: null, peakMemoryBytes: null };
+      const output = {};
+      for (const [stream, tail] of Object.entries(tails)) {
+        const lines = tail.end();
+        output[stream] = { lines, bytes: tail.totalBytes, totalLines: tail.totalLines, truncated: tail.truncated };
+      }
+      let error = null;
+      if (spawnError) error = `Could not start in ${step.cwd}: ${spawnError.message}`;
+      else if (timedOut) error = `Timed out after ${step.timeoutMs / 1000}s`;
+      else if (signal) error = `Killed by ${signal}`;
+      else if (code !== 0) error = `Exited with code ${code}`;
+      resolve({ exitCode: spawnError ? null : code, signal, timedOut, error, ...usage, output });
+    });
+  });
+}
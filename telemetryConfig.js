@@ -0,0 +1,191 @@
+// telemetryConfig.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { NodeSDK } from '@opentelemetry/sdk-node';
+import { OTLPTraceExporter as OTLPProtoExporter } from '@opentelemetry/exporter-trace-otlp-proto';
+import { OTLPTraceExporter as OTLPHttpJsonExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { OTLPTraceExporter as OTLPGrpcExporter } from '@opentelemetry/exporter-trace-otlp-grpc';
+import { ConsoleSpanExporter, ParentBasedSampler, TraceIdRatioBasedSampler } from '@opentelemetry/sdk-trace-node';
+import { MeterProvider, PeriodicExportingMetricReader, ConsoleMetricExporter, AggregationTemporality } from '@opentelemetry/sdk-metrics';
+import { OTLPMetricExporter as OTLPProtoMetricExporter } from '@opentelemetry/exporter-metrics-otlp-proto';
+import { OTLPMetricExporter as OTLPHttpJsonMetricExporter } from '@opentelemetry/exporter-metrics-otlp-http';
+import { OTLPMetricExporter as OTLPGrpcMetricExporter } from '@opentelemetry/exporter-metrics-otlp-grpc';
+import { PrometheusExporter } from '@opentelemetry/exporter-prometheus';
+import { Resource } from '@opentelemetry/resources';
+import { SemanticResourceAttributes } from '@opentelemetry/semantic-conventions';
+import { getNodeAutoInstrumentations } from '@opentelemetry/auto-instrumentations-node';
+import { Metadata } from '@grpc/grpc-js';
+import { withRedaction } from './redaction.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const { version } = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'));
+
+const EXPORTERS = ['otlp', 'console', 'file'];
+const PROTOCOLS = ['proto', 'http-json', 'grpc'];
+
+const list = (value) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// "team=reporting,deployment.environment.name=prod" → { team: 'reporting', ... } (values may be URL-encoded)
+function parseAttributes(value) {
+  const attributes = {};
+  for (const pair of list(value)) {
+    const [key, ...rest] = pair.split('=');
+    if (key && rest.length) attributes[key.trim()] = decodeURIComponent(rest.join('=').trim());
+  }
+  return attributes;
+}
+
+function oneOf(name, value, allowed) {
+  const normalized = (value || allowed[0]).toLowerCase();
+  if (!allowed.includes(normalized)) throw new Error(`${name} must be one of ${allowed.join(', ')} (got "${value}")`);
+  return normalized;
+}
+
+// The metrics endpoint next to an OTLP traces endpoint (…/v1/traces → …/v1/metrics)
+export function otlpMetricsUrlFor(otlpUrl) {
+  return otlpUrl?.replace(/\/v1\/traces\/?$/, '/v1/metrics');
+}
+
+// One place for how tracer.js, trace-cli.js and pipeline-trace.js export spans.
+// Read on demand: the CLIs load their .env after this module is imported.
+export function loadTelemetryConfig(env = process.env) {
+  return {
+    // otlp (to DYNATRACE_OTLP_URL), console, or file (JSON lines, for offline runs)
+    exporter: oneOf('TELEMETRY_EXPORTER', env.TELEMETRY_EXPORTER, EXPORTERS),
+    // OTLP encoding: proto (HTTP/protobuf), http-json (HTTP/JSON) or grpc
+    protocol: oneOf('TELEMETRY_PROTOCOL', env.TELEMETRY_PROTOCOL, PROTOCOLS),
+    otlpUrl: env.DYNATRACE_OTLP_URL,
+    otlpToken: env.DYNATRACE_API_TOKEN,
+    filePath: path.resolve(__dirname, env.TELEMETRY_FILE || 'logs/spans.jsonl'),
+    // Share of new traces that are recorded (0–1); spans with a sampled parent follow the parent
+    samplingRatio: Math.min(1, Math.max(0, parseFloat(env.TELEMETRY_SAMPLING_RATIO ?? '1') || 0)),
+    resourceAttributes: parseAttributes(env.TELEMETRY_RESOURCE_ATTRIBUTES),
+    // "all" (the auto-instrumentation defaults), "none", or names such as http,express,winston
+    instrumentations: list(env.TELEMETRY_INSTRUMENTATIONS || 'all'),
+    disabledInstrumentations: list(env.TELEMETRY_DISABLED_INSTRUMENTATIONS),
+    // Metrics are pushed the same way as spans (nothing is pushed for the file exporter)
+    otlpMetricsUrl: env.DYNATRACE_OTLP_METRICS_URL || otlpMetricsUrlFor(env.DYNATRACE_OTLP_URL),
+    metricsIntervalMs: parseInt(env.TELEMETRY_METRICS_INTERVAL_MS || '60000', 10),
+    prometheus: env.TELEMETRY_PROMETHEUS !== 'false',
+  };
+}
+
+// Appends every finished span as one JSON line, so offline runs can be inspected with jq
+class FileSpanExporter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  export(spans, resultCallback) {
+    const toIso = ([seconds, nanos]) => new Date(seconds * 1000 + nanos / 1e6).toISOString();
+    const lines = spans.map((span) => JSON.stringify({
+      traceId: span.spanContext().traceId,
+      spanId: span.spanContext().spanId,
+      parentSpanId: span.parentSpanContext?.spanId,
+      name: span.name,
+      kind: span.kind,
+      start: toIso(span.startTime),
+      end: toIso(span.endTime),
+      durationMs: span.duration[0] * 1000 + span.duration[1] / 1e6,
+      status: span.status,
+      attributes: span.attributes,
+      events: span.events.map(e => ({ name: e.name, time: toIso(e.time), attributes: e.attributes })),
+      resource: span.resource.attributes,
+    }));
+    fs.appendFile(this.filePath, lines.map(l => `${l}\n`).join(''), (err) => {
+      resultCallback(err ? { code: 1, error: err } : { code: 0 });
+    });
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+export function createTraceExporter(config = loadTelemetryConfig()) {
+  if (config.exporter === 'console') return new ConsoleSpanExporter();
+  if (config.exporter === 'file') return new FileSpanExporter(config.filePath);
+  const headers = { Authorization: `Api-Token ${config.otlpToken}` };
+  if (config.protocol === 'grpc') {
+    const metadata = new Metadata();
+    metadata.set('authorization', headers.Authorization);
+    return new OTLPGrpcExporter({ url: config.otlpUrl, metadata });
+  }
+  const Exporter = config.protocol === 'http-json' ? OTLPHttpJsonExporter : OTLPProtoExporter;
+  return new Exporter({ url: config.otlpUrl, headers });
+}
+
+// Dynatrace only ingests delta temporality over OTLP
+export function createMetricExporter(config = loadTelemetryConfig()) {
+  if (config.exporter === 'console') return new ConsoleMetricExporter({ temporalitySelector: () => AggregationTemporality.DELTA });
+  if (config.exporter === 'file') return null;
+  const options = { url: config.otlpMetricsUrl, temporalityPreference: AggregationTemporality.DELTA };
+  if (config.protocol === 'grpc') {
+    const metadata = new Metadata();
+    metadata.set('authorization', `Api-Token ${config.otlpToken}`);
+    return new OTLPGrpcMetricExporter({ ...options, metadata });
+  }
+  const Exporter = config.protocol === 'http-json' ? OTLPHttpJsonMetricExporter : OTLPProtoMetricExporter;
+  return new Exporter({ ...options, headers: { Authorization: `Api-Token ${config.otlpToken}` } });
+}
+
+// Meter provider for the server: pushes to the configured exporter every metricsIntervalMs and,
+// unless TELEMETRY_PROMETHEUS=false, keeps cumulative values for a Prometheus scrape.
+// Returns { meterProvider, prometheus } — serve prometheus.getMetricsRequestHandler from a route.
+// `wrapExporter` decorates the push exporter (e.g. routing by profile); the scrape sees everything.
+export function createMeterProvider({ serviceName, wrapExporter = (e) => e }, config = loadTelemetryConfig()) {
+  const readers = [];
+  const exporter = createMetricExporter(config);
+  if (exporter) readers.push(new PeriodicExportingMetricReader({ exporter: wrapExporter(exporter), exportIntervalMillis: config.metricsIntervalMs }));
+  const prometheus = config.prometheus ? new PrometheusExporter({ preventServerStart: true }) : null;
+  if (prometheus) readers.push(prometheus);
+  const meterProvider = new MeterProvider({ resource: createResource(serviceName, config), readers });
+  return { meterProvider, prometheus };
+}
+
+function createResource(serviceName, config) {
+  return new Resource({
+    [SemanticResourceAttributes.SERVICE_NAME]: serviceName,
+    [SemanticResourceAttributes.SERVICE_VERSION]: version,
+    ...config.resourceAttributes,
+  });
+}
+
+// The auto-instrumentation package reads its enable list from the environment only,
+// so the configured list is handed over for the duration of the call
+function createInstrumentations(config) {
+  if (config.instrumentations.includes('none')) return [];
+  const disabled = Object.fromEntries(config.disabledInstrumentations.map(name => [`@opentelemetry/instrumentation-${name}`, { enabled: false }]));
+  if (config.instrumentations.includes('all')) return getNodeAutoInstrumentations(disabled);
+  const previous = process.env.OTEL_NODE_ENABLED_INSTRUMENTATIONS;
+  process.env.OTEL_NODE_ENABLED_INSTRUMENTATIONS = config.instrumentations.join(',');
+  try {
+    return getNodeAutoInstrumentations(disabled);
+  } finally {
+    if (previous === undefined) delete process.env.OTEL_NODE_ENABLED_INSTRUMENTATIONS;
+    else process.env.OTEL_NODE_ENABLED_INSTRUMENTATIONS = previous;
+  }
+}
+
+// Builds the NodeSDK every entry point starts:
+// - instrumentations: load the configured auto-instrumentations (the server only)
+// - followRemoteParent: false re-samples spans whose parent came from another process by trace id,
+//   so one-shot CLIs reach the same decision for every span of a trace
+// - wrapExporter: extra decoration (e.g. export logging); spans are always redacted before it sees them
+export function createTelemetrySdk({ serviceName, instrumentations = false, followRemoteParent = true, idGenerator, wrapExporter = (e) => e }, config = loadTelemetryConfig()) {
+  const ratio = new TraceIdRatioBasedSampler(config.samplingRatio);
+  const sampler = new ParentBasedSampler({
+    root: ratio,
+    ...(followRemoteParent ? {} : { remoteParentSampled: ratio, remoteParentNotSampled: ratio }),
+  });
+  return new NodeSDK({
+    // Every span attribute passes the redaction policy before it leaves the process
+    traceExporter: withRedaction(wrapExporter(createTraceExporter(config))),
+    sampler,
+    ...(idGenerator ? { idGenerator } : {}),
+    resource: createResource(serviceName, config),
+    instrumentations: instrumentations ? createInstrumentations(config) : [],
+  });
+}
@@ -1,16 +1,18 @@
 // trace-cli.js
-import { NodeSDK } from '@opentelemetry/sdk-node';
-import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-proto';
-import { Resource } from '@opentelemetry/resources';
-import { SemanticResourceAttributes } from '@opentelemetry/semantic-conventions';
 import * as otelApi from '@opentelemetry/api';
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import winston from 'winston';
+import { createLogIngestClient } from './logIngestClient.js';
+import { redactLogRecord } from './redaction.js';
+import { createTelemetrySdk } from './telemetryConfig.js';
+import { detectCiProvider, ciSpanAttributes, ciLogFields } from './ciProvider.js';
 
-const { trace, context, ROOT_CONTEXT } = otelApi;
+const { trace, ROOT_CONTEXT, SpanStatusCode } = otelApi;
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.resolve(__dirname, '.env') });
 
@@ -23,144 +25,246 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
+// Each CLI call is a separate process, so open spans live in <state dir>/<trace id>.json until they end
+const STATE_DIR = process.env.TRACE_CLI_STATE_DIR || path.join(os.tmpdir(), 'trace-cli');
+// Parallel CI jobs of one trace update the same state file; <trace id>.json.lock serialises them
+const LOCK_TIMEOUT_MS = parseInt(process.env.TRACE_CLI_LOCK_TIMEOUT_MS || '15000', 10);
+const LOCK_STALE_MS = 30000;
+
 const args = process.argv.slice(2);
 const command = args[0];
 function getArg(key) {
   const match = args.find((a) => a.startsWith(`--${key}=`));
-  return match ? match.split('=')[1] : null;
+  return match ? match.slice(key.length + 3) : null;
+}
+// --attr=key=value may be repeated; numbers and booleans keep their type
+function getAttrs() {
+  const attrs = {};
+  for (const arg of args.filter((a) => a.startsWith('--attr='))) {
+    const [key, ...rest] = arg.slice('--attr='.length).split('=');
+    const raw = rest.join('=');
+    attrs[key] = raw === 'true' ? true : raw === 'false' ? false : raw !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : raw;
+  }
+  return attrs;
 }
 const step = getArg('step') || 'Unnamed';
 const traceId = getArg('trace-id');
 const parentSpanId = getArg('parent-span-id');
 const spanId = getArg('span-id');
+const failed = (getArg('status') || '').toLowerCase() === 'error';
+const statusMessage = getArg('message') || '';
 
+const ingestClient = createLogIngestClient({ logger, redact: redactLogRecord });
+
+// One record per invocation; flushed right away because the CLI exits after each command
 async function logToDynatrace(payload) {
+  ingestClient.enqueue(payload);
+  await ingestClient.flush();
+}
+
+const now = () => performance.timeOrigin + performance.now();
+const newId = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+// ----- STATE FILE -----
+function statePath(id) {
+  if (!/^[0-9a-f]{32}$/.test(id || '')) throw new Error(`Invalid trace id: ${id}`);
+  return path.join(STATE_DIR, `${id}.json`);
+}
+
+async function readState(id) {
   try {
-    const res = await fetch(process.env.DYNATRACE_LOG_INGEST_URL, {
-      method: 'POST',
-      headers: {
-        Authorization: `Api-Token ${process.env.DYNATRACE_API_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify([payload])
-    });
-    if (!res.ok) throw new Error(`Dynatrace responded ${res.status}: ${await res.text()}`);
-    logger.info('✅ Log sent to Dynatrace');
+    return JSON.parse(await fs.readFile(statePath(id), 'utf8'));
   } catch (err) {
-    logger.error(`❌ Log ingestion failed: ${err.message}`);
+    if (err.code === 'ENOENT') return { traceId: id, spans: {} };
+    throw err;
   }
 }
 
-(async () => {
-  const exporter = new OTLPTraceExporter({
-    url: process.env.DYNATRACE_OTLP_URL,
-    headers: { Authorization: `Api-Token ${process.env.DYNATRACE_API_TOKEN}` }
+async function writeState(state) {
+  await fs.mkdir(STATE_DIR, { recursive: true });
+  const file = statePath(state.traceId);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(state, null, 2));
+  await fs.rename(tmp, file);
+}
+
+// Runs `task` (a read-modify-write of the trace's state) while holding the trace's lock file.
+// A lock older than LOCK_STALE_MS was left by a process that died and is taken over.
+async function withStateLock(id, task) {
+  await fs.mkdir(STATE_DIR, { recursive: true });
+  const lock = `${statePath(id)}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      await (await fs.open(lock, 'wx')).close();
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const stat = await fs.stat(lock).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.rm(lock, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out after ${LOCK_TIMEOUT_MS} ms waiting for ${lock}`);
+      await new Promise((resolve) => setTimeout(resolve, 20 + Math.random() * 30));
+    }
+  }
+  try {
+    return await task();
+  } finally {
+    await fs.rm(lock, { force: true });
+  }
+}
+
+function fail(message, ...outputs) {
+  logger.error(`❌ ${message}`);
+  for (const name of outputs) console.log(`${name}=`);
+  process.exit(1);
+}
+
+// ----- EXPORT -----
+// The SDK would pick fresh ids; this hands it the ids printed when the span was started instead
+const ids = { traceId: null, spanId: null };
+const idGenerator = {
+  generateTraceId: () => ids.traceId,
+  generateSpanId: () => ids.spanId,
+};
+
+// Exports the stored spans once, with their recorded start time, attributes, events and status
+async function exportSpans(id, spans) {
+  // Every process decides by trace id alone, so a sampled-out trace loses all its spans, not some
+  const sdk = createTelemetrySdk({ serviceName: 'github-ci-pipeline', followRemoteParent: false, idGenerator });
+  await sdk.start();
+  const tracer = trace.getTracer('github-ci-tracer');
+
+  for (const stored of spans) {
+    const parentCtx = stored.parentSpanId
+      ? trace.setSpanContext(ROOT_CONTEXT, { traceId: id, spanId: stored.parentSpanId, traceFlags: 1, isRemote: true })
+      : ROOT_CONTEXT;
+    ids.traceId = id;
+    ids.spanId = stored.spanId;
+    const span = tracer.startSpan(stored.name, {
+      kind: stored.parentSpanId ? otelApi.SpanKind.INTERNAL : otelApi.SpanKind.SERVER,
+      startTime: stored.startTime,
+      attributes: stored.attributes,
+    }, parentCtx);
+    for (const event of stored.events) span.addEvent(event.name, event.attributes, event.time);
+    if (stored.status) span.setStatus(stored.status);
+    span.end(stored.endTime);
+  }
+  await sdk.shutdown();
+}
+
+async function endSpan(id, endingSpanId, kind) {
+  const endTime = now();
+  // Taken out of the state under the lock, exported after it is released
+  const finished = await withStateLock(id, async () => {
+    const state = await readState(id);
+    const stored = state.spans[endingSpanId];
+    if (!stored) return null;
+    stored.endTime = endTime;
+    stored.status = failed
+      ? { code: SpanStatusCode.ERROR, message: statusMessage || `${stored.name} failed` }
+      : stored.status || { code: SpanStatusCode.OK };
+    const spans = [stored];
+    delete state.spans[endingSpanId];
+
+    // Ending the root closes anything left open, so a skipped end-child still shows up in the trace
+    if (kind === 'root') {
+      for (const open of Object.values(state.spans)) {
+        spans.push({ ...open, endTime, status: { code: SpanStatusCode.ERROR, message: 'Span was never ended' } });
+      }
+      state.spans = {};
+    }
+
+    if (Object.keys(state.spans).length === 0) await fs.rm(statePath(id), { force: true });
+    else await writeState(state);
+    return spans;
   });
+  if (!finished) fail(`No open span ${endingSpanId} in trace ${id} (state dir ${STATE_DIR})`, 'trace_id', 'span_id');
+  const [stored] = finished;
+
+  await exportSpans(id, finished);
 
-  const sdk = new NodeSDK({
-    traceExporter: exporter,
-    resource: new Resource({
-      [SemanticResourceAttributes.SERVICE_NAME]: 'github-ci-pipeline'
-    })
+  await logToDynatrace({
+    timestamp: Date.now(),
+    loglevel: failed ? 'ERROR' : 'INFO',
+    trace_id: id,
+    span_id: endingSpanId,
+    service: 'github-ci-pipeline',
+    ...ciLogFields(detectCiProvider()),
+    message: kind === 'root' ? `Root Trace Ended: ${stored.name}` : `Step ${failed ? 'Failed' : 'Completed'}: ${stored.name}`,
+    step: stored.name,
+    status: kind === 'root' ? (failed ? 'root-failed' : 'root-end') : (failed ? 'failed' : 'completed'),
+    duration_ms: Math.round(endTime - stored.startTime),
   });
-  await sdk.start();
+}
 
-  const tracer = trace.getTracer('github-ci-tracer');
+// What each command prints on success; on failure the same names are printed empty
+const OUTPUTS = {
+  start: ['trace_id', 'parent_span_id'],
+  'start-child': ['trace_id', 'span_id'],
+  'end-child': ['trace_id', 'span_id'],
+  end: ['trace_id', 'span_id'],
+};
 
+(async () => {
   // ----- ROOT SPAN -----
   if (command === 'start') {
-    // Start root span (do not end!)
-    const rootSpan = tracer.startSpan(step);
-    const sc = rootSpan.spanContext();
-    // Print for output
-    console.log(`trace_id=${sc.traceId}`);
-    console.log(`parent_span_id=${sc.spanId}`);
-    // Root span must be kept alive, so do not end here!
-    await sdk.shutdown();
+    const state = { traceId: newId(16), spans: {} };
+    const rootId = newId(8);
+    // CI/VCS metadata goes on the root span; --attr values win over detected ones
+    const attributes = { ...ciSpanAttributes(detectCiProvider()), ...getAttrs() };
+    state.spans[rootId] = { spanId: rootId, name: step, startTime: now(), attributes, events: [] };
+    await writeState(state);
+    console.log(`trace_id=${state.traceId}`);
+    console.log(`parent_span_id=${rootId}`);
 
   // ----- CHILD SPAN -----
   } else if (command === 'start-child') {
-    if (!traceId || !parentSpanId) {
-      logger.error('❌ Missing trace-id or parent-span-id');
-      console.log(`trace_id=`);
-      console.log(`span_id=`);
-      process.exit(1);
-    }
-    const parentCtx = trace.setSpanContext(ROOT_CONTEXT, {
-      traceId,
-      spanId: parentSpanId,
-      traceFlags: 1
+    if (!traceId || !parentSpanId) fail('Missing trace-id or parent-span-id', 'trace_id', 'span_id');
+    const childId = newId(8);
+    await withStateLock(traceId, async () => {
+      const state = await readState(traceId);
+      state.spans[childId] = { spanId: childId, parentSpanId, name: step, startTime: now(), attributes: getAttrs(), events: [] };
+      await writeState(state);
     });
-    let childSpan;
-    context.with(parentCtx, () => {
-      childSpan = tracer.startSpan(step);
-      const sc = childSpan.spanContext();
-      console.log(`trace_id=${sc.traceId}`);
-      console.log(`span_id=${sc.spanId}`);
-      // Don't end yet!
+    console.log(`trace_id=${traceId}`);
+    console.log(`span_id=${childId}`);
+
+  // ----- ATTRIBUTES / EVENTS ON AN OPEN SPAN -----
+  } else if (command === 'set-attr' || command === 'add-event') {
+    const target = spanId || parentSpanId;
+    if (!traceId || !target) fail('Missing trace-id or span-id');
+    const found = await withStateLock(traceId, async () => {
+      const state = await readState(traceId);
+      const stored = state.spans[target];
+      if (!stored) return false;
+      if (command === 'set-attr') {
+        Object.assign(stored.attributes, getAttrs());
+      } else {
+        stored.events.push({ name: getArg('name') || step, time: now(), attributes: getAttrs() });
+      }
+      await writeState(state);
+      return true;
     });
-    await sdk.shutdown();
+    if (!found) fail(`No open span ${target} in trace ${traceId} (state dir ${STATE_DIR})`);
 
   // ----- END CHILD SPAN -----
   } else if (command === 'end-child') {
-    if (!traceId || !spanId) {
-      logger.error('❌ Missing trace-id or span-id');
-      console.log(`trace_id=`);
-      console.log(`span_id=`);
-      process.exit(1);
-    }
-    const spanCtx = trace.setSpanContext(ROOT_CONTEXT, {
-      traceId,
-      spanId,
-      traceFlags: 1
-    });
-    context.with(spanCtx, () => {
-      const span = tracer.startSpan(step);
-      span.end();
-    });
-    await logToDynatrace({
-      timestamp: Date.now(),
-      loglevel: 'INFO',
-      trace_id: traceId,
-      span_id: spanId,
-      service: 'github-ci-pipeline',
-      message: `Step Completed: ${step}`,
-      step,
-      status: 'completed'
-    });
+    if (!traceId || !spanId) fail('Missing trace-id or span-id', 'trace_id', 'span_id');
+    await endSpan(traceId, spanId, 'child');
     console.log(`trace_id=${traceId}`);
     console.log(`span_id=${spanId}`);
-    await sdk.shutdown();
 
   // ----- END ROOT SPAN -----
   } else if (command === 'end') {
-    if (!traceId || !parentSpanId) {
-      logger.error('❌ Missing trace-id or root span-id');
-      console.log(`trace_id=`);
-      console.log(`span_id=`);
-      process.exit(1);
-    }
-    const rootCtx = trace.setSpanContext(ROOT_CONTEXT, {
-      traceId,
-      spanId: parentSpanId,
-      traceFlags: 1
-    });
-    context.with(rootCtx, () => {
-      const span = tracer.startSpan(step);
-      span.end();
-    });
-    await logToDynatrace({
-      timestamp: Date.now(),
-      loglevel: 'INFO',
-      trace_id: traceId,
-      span_id: parentSpanId,
-      service: 'github-ci-pipeline',
-      message: `Root Trace Ended: ${step}`,
-      step,
-      status: 'root-end'
-    });
+    if (!traceId || !parentSpanId) fail('Missing trace-id or root span-id', 'trace_id', 'span_id');
+    await endSpan(traceId, parentSpanId, 'root');
     console.log(`trace_id=${traceId}`);
     console.log(`span_id=${parentSpanId}`);
-    await sdk.shutdown();
+
+  } else {
+    fail(`Unknown command: ${command || '(none)'}. Use start, start-child, set-attr, add-event, end-child or end`);
   }
-})();
+})().catch((err) => fail(err.message, ...(OUTPUTS[command] || [])));
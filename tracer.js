@@ -1,11 +1,9 @@
 // tracer.js
 import 'dotenv/config';
-import { NodeSDK } from '@opentelemetry/sdk-node';
-import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-proto';
-import { Resource } from '@opentelemetry/resources';
-import { SemanticResourceAttributes } from '@opentelemetry/semantic-conventions';
-import { getNodeAutoInstrumentations } from '@opentelemetry/auto-instrumentations-node';
 import winston from 'winston';
+import { metrics } from '@opentelemetry/api';
+import { createTelemetrySdk, createMeterProvider, createTraceExporter, createMetricExporter, otlpMetricsUrlFor, loadTelemetryConfig } from './telemetryConfig.js';
+import { routeSpansByProfile, routeMetricsByProfile } from './profiles.js';
 
 // Logger setup
 const logger = winston.createLogger({
@@ -15,43 +13,79 @@ const logger = winston.createLogger({
   ]
 });
 
-// ✅ Custom exporter with detailed logging
-class CustomLoggingExporter extends OTLPTraceExporter {
-  export(spans, resultCallback) {
-    console.log('🚀 Exporting spans:', spans.map(span => span.name));
-    super.export(spans, (result) => {
-      const { code, error } = result;
-      logger.info(`🟣 Traces export result: ${JSON.stringify({ code, errorCode: error?.code, message: error?.message })}`);
-      resultCallback(result);
-    });
-  }
+// ✅ Wraps whichever exporter is configured with detailed logging
+function withExportLogging(exporter) {
+  return {
+    export(spans, resultCallback) {
+      console.log('🚀 Exporting spans:', spans.map(span => span.name));
+      exporter.export(spans, (result) => {
+        const { code, error } = result;
+        logger.info(`🟣 Traces export result: ${JSON.stringify({ code, errorCode: error?.code, message: error?.message })}`);
+        resultCallback(result);
+      });
+    },
+    shutdown: () => exporter.shutdown(),
+    forceFlush: () => exporter.forceFlush?.(),
+  };
 }
 
-const sdk = new NodeSDK({
-  traceExporter: new CustomLoggingExporter({
-    url: process.env.DYNATRACE_OTLP_URL,
-    headers: {
-      'Authorization': `Api-Token ${process.env.DYNATRACE_API_TOKEN}`,
-    }
-  }),
-  resource: new Resource({
-    [SemanticResourceAttributes.SERVICE_NAME]: 'dynatrace-email-reporter'
-  }),
-  instrumentations: [getNodeAutoInstrumentations()]
-});
+// Over OTLP, the spans of a trace bound to a profile go to that profile's Dynatrace environment
+function withProfileRouting(exporter) {
+  if (telemetryConfig.exporter !== 'otlp') return exporter;
+  return routeSpansByProfile(exporter, (profile) => createTraceExporter({
+    ...telemetryConfig,
+    otlpUrl: profile.dynatrace.otlpUrl,
+    otlpToken: profile.dynatrace.apiToken,
+  }));
+}
+
+// Report metrics follow the same rule: each profile's data points go to its own environment
+function withMetricProfileRouting(exporter) {
+  if (telemetryConfig.exporter !== 'otlp') return exporter;
+  return routeMetricsByProfile(exporter, (profile) => createMetricExporter({
+    ...telemetryConfig,
+    otlpMetricsUrl: profile.dynatrace.otlpMetricsUrl || otlpMetricsUrlFor(profile.dynatrace.otlpUrl),
+    otlpToken: profile.dynatrace.apiToken,
+  }));
+}
+
+const telemetryConfig = loadTelemetryConfig();
+const sdk = createTelemetrySdk({
+  serviceName: 'dynatrace-email-reporter',
+  instrumentations: true,
+  wrapExporter: (exporter) => withExportLogging(withProfileRouting(exporter)),
+}, telemetryConfig);
+
+// Registered before any instrument is created (see metrics.js)
+const { meterProvider, prometheus } = createMeterProvider({
+  serviceName: 'dynatrace-email-reporter',
+  wrapExporter: withMetricProfileRouting,
+}, telemetryConfig);
+metrics.setGlobalMeterProvider(meterProvider);
+
+// Prometheus text format for GET /metrics; 404 when TELEMETRY_PROMETHEUS=false
+export function metricsHandler(req, res) {
+  if (!prometheus) {
+    res.status(404).send('❌ Prometheus metrics are disabled.');
+    return;
+  }
+  prometheus.getMetricsRequestHandler(req, res);
+}
 
 try {
   await sdk.start();
-  logger.info('✅ OpenTelemetry tracer started');
+  const { exporter, protocol, samplingRatio, instrumentations } = telemetryConfig;
+  logger.info(`✅ OpenTelemetry tracer started (${exporter === 'otlp' ? `otlp/${protocol}` : exporter}, sampling ${samplingRatio}, instrumentations ${instrumentations.join(',')})`);
 } catch (err) {
   logger.error('❌ Tracer start failed', err);
 }
 
-process.on('SIGTERM', async () => {
+// Flushes spans and metrics still buffered; called last by the server's graceful shutdown (index.js)
+export async function shutdownTelemetry() {
   try {
-    await sdk.shutdown();
+    await Promise.all([sdk.shutdown(), meterProvider.shutdown()]);
     logger.info('🛑 Tracer shutdown complete');
   } catch (err) {
     logger.error('❌ Error during shutdown', err);
   }
-});
+}